@@ -1,4 +1,4 @@
-import { detectElementSize } from '../utils/helpers'
+import { detectElementSize, parseAspectRatio } from '../utils/helpers'
 
 /**
  * 默认设计尺寸
@@ -19,15 +19,54 @@ export function detectScreenSize() {
   }
 }
 
+/**
+ * 将宽高比统一为数值
+ * @param {number|string} value - 宽高比，数值或 "16:9" 形式的字符串
+ * @returns {number|null} 宽高比，无效时返回null
+ */
+function toAspect(value) {
+  if (typeof value === 'number') return value > 0 ? value : null
+  return parseAspectRatio(value)
+}
+
+/**
+ * 按宽高比选择最匹配的设计稿（画板）
+ * 优先在 minAspect ~ maxAspect 范围包含该宽高比的设计稿中选择，
+ * 没有时从所有设计稿中选择；多个候选时选择自身宽高比最接近的设计稿
+ * @param {Object[]} designs - 设计稿列表，每项为 {width, height, minAspect, maxAspect, className}
+ * @param {number} aspect - 宽高比
+ * @returns {Object|null} 设计稿，没有有效的设计稿时返回null
+ */
+export function selectDesign(designs, aspect) {
+  if (!Array.isArray(designs)) return null
+
+  const valid = designs.filter((design) => design && design.width > 0 && design.height > 0)
+  if (!valid.length) return null
+  if (!(aspect > 0)) return valid[0]
+
+  const inRange = valid.filter((design) => {
+    const min = toAspect(design.minAspect)
+    const max = toAspect(design.maxAspect)
+    return (min === null || aspect >= min) && (max === null || aspect <= max)
+  })
+
+  // 按比例计算距离，使 2:1 与 1:2 相对于 1:1 的距离相同
+  const distance = (design) => Math.abs(Math.log(aspect / (design.width / design.height)))
+  return (inRange.length ? inRange : valid).reduce((best, design) =>
+    distance(design) < distance(best) ? design : best
+  )
+}
+
 /**
  * 确定设计尺寸
  * @param {Object} options - 配置选项
  * @param {HTMLElement} container - 容器元素
  * @param {HTMLElement} content - 内容元素
- * @returns {Object} 设计尺寸 {width, height}
+ * @returns {Object} 设计尺寸 {width, height}，按 designs 选择时附带选中的设计稿 design
  */
 export function determineDesignSize(options, container, content) {
   const {
+    designs,
     designWidth,
     designHeight,
     aspectRatio,
@@ -37,6 +76,25 @@ export function determineDesignSize(options, container, content) {
     detectedHeight,
   } = options
 
+  // 如果提供了多个设计稿，按容器宽高比选择最匹配的
+  if (Array.isArray(designs) && designs.length) {
+    const containerSize = container
+      ? {
+          width: container.offsetWidth,
+          height: container.offsetHeight,
+        }
+      : detectScreenSize()
+
+    const design = selectDesign(designs, containerSize.width / containerSize.height)
+    if (design) {
+      return {
+        width: design.width,
+        height: design.height,
+        design,
+      }
+    }
+  }
+
   // 如果直接指定了设计尺寸，优先使用
   if (
     designWidth &&
@@ -0,0 +1,112 @@
+/**
+ * 事件名称
+ */
+export const EVENTS = {
+  BEFORE_RESIZE: 'beforeresize', // 应用缩放前，可以取消或修改缩放比例
+  RESIZE: 'resize', // 应用缩放后
+  SCALE_CHANGE: 'scalechange', // 缩放比例发生变化
+  MODE_CHANGE: 'modechange', // 显示模式发生变化
+  DESIGN_SIZE_CHANGE: 'designsizechange', // 设计尺寸发生变化
+  DESIGN_CHANGE: 'designchange', // 提供了多个设计稿时，当前使用的设计稿发生变化
+  FULLSCREEN_CHANGE: 'fullscreenchange', // 浏览器全屏状态变化
+  TRANSITION_END: 'transitionend', // 开启 transition 时，缩放的过渡动画结束
+  DESTROY: 'destroy', // 实例销毁
+}
+
+/**
+ * 事件管理器
+ */
+export class EventEmitter {
+  /**
+   * 创建事件管理器
+   */
+  constructor() {
+    this.listeners = {}
+  }
+
+  /**
+   * 添加事件监听
+   * @param {string} type - 事件名称
+   * @param {Function} listener - 回调，参数为事件对象
+   */
+  on(type, listener) {
+    if (typeof listener !== 'function') return
+
+    if (!this.listeners[type]) {
+      this.listeners[type] = []
+    }
+    this.listeners[type].push(listener)
+  }
+
+  /**
+   * 添加只触发一次的事件监听
+   * @param {string} type - 事件名称
+   * @param {Function} listener - 回调，参数为事件对象
+   */
+  once(type, listener) {
+    if (typeof listener !== 'function') return
+
+    const wrapper = (event) => {
+      this.off(type, wrapper)
+      listener(event)
+    }
+    // 记录原始回调，支持通过 off(type, listener) 移除
+    wrapper.listener = listener
+    this.on(type, wrapper)
+  }
+
+  /**
+   * 移除事件监听
+   * @param {string} [type] - 事件名称，为空时移除所有事件的监听
+   * @param {Function} [listener] - 回调，为空时移除该事件的所有监听
+   */
+  off(type, listener) {
+    if (!type) {
+      this.listeners = {}
+      return
+    }
+
+    if (!listener) {
+      delete this.listeners[type]
+      return
+    }
+
+    const listeners = (this.listeners[type] || []).filter(
+      (item) => item !== listener && item.listener !== listener
+    )
+    if (listeners.length) {
+      this.listeners[type] = listeners
+    } else {
+      delete this.listeners[type]
+    }
+  }
+
+  /**
+   * 触发事件
+   * @param {string} type - 事件名称
+   * @param {Object} [detail] - 事件数据，会合并到事件对象中
+   * @returns {Object} 事件对象，监听器调用 preventDefault() 后 defaultPrevented 为true
+   */
+  emit(type, detail = {}) {
+    const event = {
+      ...detail,
+      type,
+      defaultPrevented: false,
+      preventDefault() {
+        event.defaultPrevented = true
+      },
+    }
+
+    // 复制监听列表，避免回调中增删监听影响本次触发
+    const listeners = (this.listeners[type] || []).slice()
+    listeners.forEach((listener) => {
+      try {
+        listener(event)
+      } catch (error) {
+        console.error(`[FitScreenJS] ${type} 事件回调出错:`, error)
+      }
+    })
+
+    return event
+  }
+}
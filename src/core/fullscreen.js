@@ -0,0 +1,84 @@
+/**
+ * 浏览器全屏API的封装，兼容带前缀的旧实现
+ */
+
+/**
+ * 全屏状态变化事件（包括带前缀的版本）
+ */
+const FULLSCREEN_CHANGE_EVENTS = [
+  'fullscreenchange',
+  'webkitfullscreenchange',
+  'MSFullscreenChange',
+]
+
+/**
+ * 检测浏览器是否支持全屏API
+ * @returns {boolean} 是否支持
+ */
+export function isFullscreenSupported() {
+  if (typeof document === 'undefined') return false
+
+  const element = document.documentElement
+  return !!(
+    element.requestFullscreen ||
+    element.webkitRequestFullscreen ||
+    element.msRequestFullscreen
+  )
+}
+
+/**
+ * 获取当前处于全屏状态的元素
+ * @returns {Element|null} 全屏元素，不在全屏状态时返回null
+ */
+export function getFullscreenElement() {
+  return (
+    document.fullscreenElement ||
+    document.webkitFullscreenElement ||
+    document.msFullscreenElement ||
+    null
+  )
+}
+
+/**
+ * 请求元素进入全屏
+ * @param {HTMLElement} element - 元素
+ * @returns {Promise} 进入全屏后完成
+ */
+export function requestFullscreen(element) {
+  const request =
+    element.requestFullscreen || element.webkitRequestFullscreen || element.msRequestFullscreen
+
+  if (!request) {
+    return Promise.reject(new Error('Fullscreen API is not supported'))
+  }
+
+  // 旧实现不返回 Promise
+  return Promise.resolve(request.call(element))
+}
+
+/**
+ * 退出全屏
+ * @returns {Promise} 退出全屏后完成
+ */
+export function exitFullscreen() {
+  const exit = document.exitFullscreen || document.webkitExitFullscreen || document.msExitFullscreen
+
+  if (!exit || !getFullscreenElement()) {
+    return Promise.resolve()
+  }
+
+  return Promise.resolve(exit.call(document))
+}
+
+/**
+ * 监听全屏状态变化
+ * @param {Function} listener - 回调
+ * @returns {Function} 取消监听的函数
+ */
+export function listenFullscreenChange(listener) {
+  FULLSCREEN_CHANGE_EVENTS.forEach((type) => document.addEventListener(type, listener))
+
+  return () => {
+    FULLSCREEN_CHANGE_EVENTS.forEach((type) => document.removeEventListener(type, listener))
+  }
+}
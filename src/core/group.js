@@ -0,0 +1,160 @@
+import { RESIZE_REASONS } from './watcher'
+import { scheduleFrame, cancelFrame } from './scheduler'
+
+/**
+ * 缩放组的同步方式
+ */
+export const SYNC_TYPES = {
+  MIN: 'min', // 使用组内最小的缩放比例，所有内容都能完整显示
+  MAX: 'max', // 使用组内最大的缩放比例
+  FIRST: 'first', // 使用第一个实例的缩放比例
+}
+
+/**
+ * 验证同步方式是否有效
+ * @param {string} sync - 同步方式
+ * @returns {string} 有效的同步方式
+ */
+export function validateSync(sync) {
+  const normalizedSync = typeof sync === 'string' ? sync.toLowerCase() : ''
+  return Object.values(SYNC_TYPES).includes(normalizedSync) ? normalizedSync : SYNC_TYPES.MIN
+}
+
+/**
+ * 缩放组：组内的实例使用同一缩放比例，并一起刷新
+ * 非等比模式（如 fullscreen）的实例只随组一起刷新，保持各自的拉伸
+ * 组内实例按各自的 observe 监听尺寸变化，变化时由缩放组统一刷新
+ */
+export class ScaleGroup {
+  /**
+   * 创建缩放组
+   * @param {FitScreenJS[]} instances - 组内的实例
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.sync='min'] - 同步方式，参见 SYNC_TYPES
+   * @param {Function} [options.onResize] - 缩放组刷新后的回调 (scale, instances, reason)
+   */
+  constructor(instances = [], options = {}) {
+    this.options = options
+    this.sync = validateSync(options.sync)
+    this.instances = []
+    this.scale = 1
+    this.isDestroyed = false
+
+    instances.forEach((instance) => this.add(instance))
+
+    this.refresh()
+  }
+
+  /**
+   * 将实例加入缩放组，实例已在其他组中时会先移出
+   * @param {FitScreenJS} instance - 实例
+   * @returns {ScaleGroup} 当前缩放组，支持链式调用
+   */
+  add(instance) {
+    if (!instance || !instance.scaler || this.instances.includes(instance)) return this
+
+    if (instance.group && instance.group !== this) {
+      instance.group.remove(instance)
+    }
+
+    instance.group = this
+    this.instances.push(instance)
+    return this
+  }
+
+  /**
+   * 将实例移出缩放组，实例恢复按自身计算缩放比例
+   * @param {FitScreenJS} instance - 实例
+   * @returns {ScaleGroup} 当前缩放组，支持链式调用
+   */
+  remove(instance) {
+    if (!this.instances.includes(instance)) return this
+
+    this.instances = this.instances.filter((item) => item !== instance)
+    instance.group = null
+    instance.scaler.setSyncedScale(null)
+    instance.scaler.refresh()
+
+    if (!this.isDestroyed) {
+      this.refresh()
+    }
+    return this
+  }
+
+  /**
+   * 计算组内同步的缩放比例
+   * @returns {number} 缩放比例
+   * @private
+   */
+  calculateScale() {
+    const scales = this.instances
+      .map((instance) => instance.scaler)
+      // 区域布局的实例没有内容元素，按主区域参与同步
+      .filter((scaler) => scaler.container && (scaler.content || scaler.regions.length))
+      .map((scaler) => {
+        // 按实例将要使用的设计稿计算自身的缩放比例（已按 minScale / maxScale 限制）
+        scaler.setSyncedScale(null)
+        return { scale: scaler.measureScale(), isUniform: scaler.isUniformScale() }
+      })
+      // 非等比模式的实例保持各自的拉伸，不影响同步的缩放比例
+      .filter((item) => item.isUniform)
+      .map((item) => item.scale)
+
+    if (!scales.length) return 1
+
+    if (this.sync === SYNC_TYPES.FIRST) return scales[0]
+    if (this.sync === SYNC_TYPES.MAX) return Math.max(...scales)
+    return Math.min(...scales)
+  }
+
+  /**
+   * 按同步的缩放比例刷新组内所有实例
+   * @param {string} [reason='refresh'] - 刷新的原因，参见 RESIZE_REASONS
+   * @returns {ScaleGroup} 当前缩放组，支持链式调用
+   */
+  refresh(reason = RESIZE_REASONS.REFRESH) {
+    this.scale = this.calculateScale()
+
+    this.instances.forEach((instance) => {
+      instance.scaler.setSyncedScale(this.scale)
+      instance.scaler.refresh(reason)
+    })
+
+    if (typeof this.options.onResize === 'function') {
+      this.options.onResize(this.scale, [...this.instances], reason)
+    }
+
+    return this
+  }
+
+  /**
+   * 在下一帧刷新，合并同一帧内的多次刷新请求，用于组内实例的尺寸变化
+   * @param {string} [reason='refresh'] - 刷新的原因，参见 RESIZE_REASONS
+   */
+  scheduleRefresh(reason = RESIZE_REASONS.REFRESH) {
+    scheduleFrame(this, () => {
+      if (!this.isDestroyed) {
+        this.refresh(reason)
+      }
+    })
+  }
+
+  /**
+   * 获取组内同步的缩放比例
+   * @returns {number} 缩放比例
+   */
+  getScale() {
+    return this.scale
+  }
+
+  /**
+   * 解散缩放组，组内实例恢复各自计算缩放比例
+   */
+  destroy() {
+    if (this.isDestroyed) return
+
+    this.isDestroyed = true
+    cancelFrame(this)
+    this.instances.slice().forEach((instance) => this.remove(instance))
+  }
+}
@@ -0,0 +1,257 @@
+import { calculateScale, throttle } from '../utils/helpers'
+import { STRATEGIES } from './strategies'
+import { scheduleFrame, cancelFrame } from './scheduler'
+import { RESIZE_REASONS } from './watcher'
+
+/**
+ * 留白填充类型
+ */
+export const LETTERBOX_TYPES = {
+  IMAGE: 'image', // 背景图片
+  GRADIENT: 'gradient', // 渐变
+  BLUR: 'blur', // 模糊的内容副本
+}
+
+/**
+ * 模糊副本额外放大的比例，避免模糊后边缘出现透明过渡
+ */
+const BLUR_BLEED = 1.1
+
+/**
+ * 副本中移除的元素：复制后会重复加载或播放，canvas 复制后为空白
+ */
+const UNCLONED_SELECTOR = 'iframe, video, audio, canvas, object, embed'
+
+/**
+ * 副本中移除 name 和 form 属性的表单控件，避免加入原内容的表单和单选框分组
+ */
+const FORM_CONTROL_SELECTOR = 'button, fieldset, input, output, select, textarea'
+
+/**
+ * 触发重新创建副本的属性：只包括改变元素显示或加载内容的属性，
+ * 图表路径、文本等频繁变化的细节在模糊的副本中不可见
+ */
+const OBSERVED_ATTRIBUTES = ['class', 'src', 'srcset', 'hidden', 'width', 'height']
+
+/**
+ * 内容变化后重新创建副本的最小间隔（毫秒）
+ */
+const REBUILD_INTERVAL = 500
+
+/**
+ * 留白填充层：在等比缩放产生的留白区域显示图片、渐变或内容的模糊副本
+ */
+export class Letterbox {
+  /**
+   * 创建留白填充层
+   * @param {Object} options - 填充配置
+   * @param {string} options.type - 填充类型，参见 LETTERBOX_TYPES
+   * @param {string} [options.image] - 图片地址（image类型）
+   * @param {string} [options.size='cover'] - 图片的 background-size（image类型）
+   * @param {string} [options.gradient] - CSS渐变（gradient类型）
+   * @param {number} [options.blur=20] - 模糊半径，单位px，为0时显示内容的清晰副本（blur类型）
+   */
+  constructor(options = {}) {
+    this.options = options
+    this.element = null
+    this.content = null
+    this.clone = null
+    this.scaler = null // 最近一次更新的缩放器，内容变化后按其重新排布副本
+    this.observer = null
+  }
+
+  /**
+   * 将填充层挂载到容器中，位于内容元素下方
+   * @param {HTMLElement} container - 容器元素
+   * @param {HTMLElement} content - 内容元素
+   */
+  mount(container, content) {
+    const { type, image, size = 'cover', gradient } = this.options
+
+    this.element = document.createElement('div')
+    this.element.className = 'fitscreen-letterbox'
+    this.element.setAttribute('aria-hidden', 'true')
+    // 副本中的链接和表单控件不可聚焦、不可交互
+    this.element.setAttribute('inert', '')
+    Object.assign(this.element.style, {
+      position: 'absolute',
+      top: '0',
+      left: '0',
+      width: '100%',
+      height: '100%',
+      overflow: 'hidden',
+      pointerEvents: 'none',
+    })
+
+    if (type === LETTERBOX_TYPES.IMAGE && image) {
+      this.element.style.backgroundImage = `url("${image}")`
+      this.element.style.backgroundSize = size
+      this.element.style.backgroundPosition = 'center'
+      this.element.style.backgroundRepeat = 'no-repeat'
+    } else if (type === LETTERBOX_TYPES.GRADIENT && gradient) {
+      this.element.style.backgroundImage = gradient
+    } else if (type === LETTERBOX_TYPES.BLUR) {
+      this.content = content
+      this.clone = this.createClone(content)
+      this.element.appendChild(this.clone)
+      this.observeContent()
+    }
+
+    container.insertBefore(this.element, content)
+  }
+
+  /**
+   * 创建内容的副本，移除会重复加载的媒体元素
+   * @param {HTMLElement} content - 内容元素
+   * @returns {HTMLElement} 内容副本
+   * @private
+   */
+  createClone(content) {
+    const clone = content.cloneNode(true)
+
+    // 移除id，避免与原内容冲突；替换类名，避免被当作内容元素
+    clone.removeAttribute('id')
+    clone.querySelectorAll('[id]').forEach((el) => el.removeAttribute('id'))
+    clone.querySelectorAll(UNCLONED_SELECTOR).forEach((el) => el.remove())
+    clone.querySelectorAll('[autofocus]').forEach((el) => el.removeAttribute('autofocus'))
+    clone.querySelectorAll(FORM_CONTROL_SELECTOR).forEach((el) => {
+      el.removeAttribute('name')
+      el.removeAttribute('form')
+    })
+    clone.className = 'fitscreen-letterbox-clone'
+    clone.style.position = 'absolute'
+    // 清除内容的 zoom 和过渡，副本只按 update 中计算的 transform 缩放
+    clone.style.zoom = ''
+    clone.style.transition = 'none'
+
+    return clone
+  }
+
+  /**
+   * 监听内容的变化，变化后在共享的下一帧中重新创建副本，持续变化时按 REBUILD_INTERVAL 节流
+   * 不监听 style 属性：缩放时内容和不参与缩放的元素的内联样式都会更新
+   * @private
+   */
+  observeContent() {
+    if (typeof MutationObserver === 'undefined') return
+
+    const scheduleRebuild = throttle(() => {
+      scheduleFrame(this, () => {
+        this.rebuildClone()
+        if (this.scaler && this.scaler.container) {
+          this.layoutClone(this.scaler)
+        }
+      })
+    }, REBUILD_INTERVAL)
+
+    this.observer = new MutationObserver(scheduleRebuild)
+    this.observer.observe(this.content, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: OBSERVED_ATTRIBUTES,
+    })
+  }
+
+  /**
+   * 用内容当前的副本替换原来的副本
+   * @private
+   */
+  rebuildClone() {
+    if (!this.clone || !this.element) return
+
+    const clone = this.createClone(this.content)
+    this.element.replaceChild(clone, this.clone)
+    this.clone = clone
+  }
+
+  /**
+   * 更新填充层，在每次缩放后调用
+   * 尺寸变化时只重新排布副本，显式调用 refresh() 时重新创建副本
+   * @param {Scaler} scaler - 缩放器实例
+   */
+  update(scaler) {
+    if (!this.clone || !scaler.container) return
+
+    this.scaler = scaler
+    if (scaler.resizeReason === RESIZE_REASONS.REFRESH) {
+      this.rebuildClone()
+    }
+    this.layoutClone(scaler)
+  }
+
+  /**
+   * 按覆盖方式排布副本
+   * @param {Scaler} scaler - 缩放器实例
+   * @private
+   */
+  layoutClone(scaler) {
+    const { blur = 20 } = this.options
+    const { width, height } = scaler.designSize
+    const containerWidth = scaler.container.offsetWidth
+    const containerHeight = scaler.container.offsetHeight
+    if (!width || !height) return
+
+    // 按覆盖方式缩放副本，使其铺满整个容器
+    const scale = calculateScale(containerWidth, containerHeight, width, height, true)
+    const coverScale = blur > 0 ? scale * BLUR_BLEED : scale
+
+    // 副本按已经缩放后的布局尺寸排布，transform 只补足剩余的比例
+    const layoutScale = this.getLayoutScale(scaler)
+    const layoutWidth = width * layoutScale.x
+    const layoutHeight = height * layoutScale.y
+
+    this.clone.style.width = `${layoutWidth}px`
+    this.clone.style.height = `${layoutHeight}px`
+    this.clone.style.left = `${(containerWidth - layoutWidth) / 2}px`
+    this.clone.style.top = `${(containerHeight - layoutHeight) / 2}px`
+    this.clone.style.transformOrigin = 'center center'
+    this.clone.style.transform =
+      layoutScale.x === layoutScale.y
+        ? `scale(${coverScale / layoutScale.x})`
+        : `scale(${coverScale / layoutScale.x}, ${coverScale / layoutScale.y})`
+    this.clone.style.filter = blur > 0 ? `blur(${blur}px)` : 'none'
+  }
+
+  /**
+   * 获取缩放策略已经作用在副本布局上的缩放比例
+   * reflow 按缩放后的尺寸重新布局，rem 通过根元素的 font-size 缩放 rem 尺寸，
+   * transform 和 zoom 的缩放只设置在内容元素上，副本按设计尺寸布局
+   * @param {Scaler} scaler - 缩放器实例
+   * @returns {Object} 缩放比例 {x, y}
+   * @private
+   */
+  getLayoutScale(scaler) {
+    const { strategy, currentScaleX = 1, currentScaleY = 1 } = scaler
+
+    if (strategy === STRATEGIES.REFLOW) {
+      return { x: currentScaleX, y: currentScaleY }
+    }
+
+    // rem 策略不支持非等比缩放，此时回退到 transform
+    if (strategy === STRATEGIES.REM && currentScaleX === currentScaleY) {
+      return { x: currentScaleX, y: currentScaleY }
+    }
+
+    return { x: 1, y: 1 }
+  }
+
+  /**
+   * 移除填充层
+   */
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect()
+      this.observer = null
+    }
+    cancelFrame(this)
+
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element)
+    }
+    this.element = null
+    this.content = null
+    this.clone = null
+    this.scaler = null
+  }
+}
@@ -1,3 +1,17 @@
+import {
+  clamp,
+  getElementOffset,
+  parseAlign,
+  calculateScale,
+  calculateNonProportionalScale,
+} from '../utils/helpers'
+import {
+  applyStrategyScale,
+  applyStrategyPosition,
+  readStrategyPosition,
+  getDesignSize,
+} from './strategies'
+
 /**
  * 显示模式管理
  */
@@ -5,6 +19,58 @@
 export const MODES = {
   PROPORTIONAL: 'proportional', // 等比缩放模式
   FULLSCREEN: 'fullscreen', // 全屏填充模式
+  COVER: 'cover', // 等比覆盖模式
+  WIDTH: 'width', // 宽度适配模式（垂直滚动）
+  HEIGHT: 'height', // 高度适配模式（水平滚动）
+}
+
+/**
+ * 已注册的模式定义
+ */
+const modeRegistry = {}
+
+/**
+ * 注册显示模式
+ * @param {string} name - 模式名称（不区分大小写），与已有模式同名时覆盖
+ * @param {Object} definition - 模式定义
+ * @param {Function} definition.calculate - 计算缩放结果 (containerSize, designSize, options) => {scale, scaleX?, scaleY?} 或缩放比例
+ * @param {Function} definition.apply - 应用样式 (container, content, result, options) => void
+ * @param {boolean} [definition.scroll=false] - 是否允许容器滚动，为true时缩放前后保持滚动位置
+ * @param {string} [definition.scrollAxis] - 容器滚动的方向 'x' 或 'y'，省略时两个方向都可以滚动
+ * @param {boolean} [definition.uniform=true] - 是否等比缩放，为false时按各方向拉伸，不参与缩放组的同步
+ * @returns {boolean} 是否注册成功
+ */
+export function registerMode(name, definition) {
+  if (!name || typeof name !== 'string') {
+    console.error('[FitScreenJS] 模式名称必须是非空字符串')
+    return false
+  }
+
+  if (
+    !definition ||
+    typeof definition.calculate !== 'function' ||
+    typeof definition.apply !== 'function'
+  ) {
+    console.error(`[FitScreenJS] 模式 "${name}" 必须提供 calculate 和 apply 方法`)
+    return false
+  }
+
+  modeRegistry[name.toLowerCase()] = {
+    scroll: false,
+    uniform: true,
+    ...definition,
+  }
+  return true
+}
+
+/**
+ * 获取模式定义
+ * @param {string} name - 模式名称
+ * @returns {Object|null} 模式定义
+ */
+export function getModeDefinition(name) {
+  if (!name || typeof name !== 'string') return null
+  return modeRegistry[name.toLowerCase()] || null
 }
 
 /**
@@ -19,8 +85,37 @@ export function validateMode(mode) {
 
   const normalizedMode = mode.toLowerCase()
 
-  // 检查是否是有效的模式
-  return Object.values(MODES).includes(normalizedMode) ? normalizedMode : MODES.PROPORTIONAL
+  // 检查是否是已注册的模式
+  return modeRegistry[normalizedMode] ? normalizedMode : MODES.PROPORTIONAL
+}
+
+/**
+ * 获取内容的对齐方式
+ * @param {Object} options - 配置选项
+ * @returns {Object} 相对位置 {x, y}
+ */
+export function resolveAlign(options) {
+  const { align, centerContent = true } = options
+
+  // 未设置 align 时兼容 centerContent 选项
+  return parseAlign(align) || (centerContent ? { x: 0.5, y: 0.5 } : { x: 0, y: 0 })
+}
+
+/**
+ * 获取内容可用的区域（扣除 insets 后的容器区域）
+ * @param {HTMLElement} container - 容器元素
+ * @param {Object} options - 配置选项，area 由 Scaler 根据 insets 计算
+ * @returns {Object} 可用区域 {left, top, width, height}
+ */
+export function getContentArea(container, options) {
+  return (
+    options.area || {
+      left: 0,
+      top: 0,
+      width: container.offsetWidth,
+      height: container.offsetHeight,
+    }
+  )
 }
 
 /**
@@ -31,7 +126,7 @@ export function validateMode(mode) {
  * @param {Object} options - 配置选项
  */
 export function applyProportionalMode(container, content, scale, options) {
-  const { centerContent = true, scaleContent = true, backgroundColor = null } = options
+  const { scaleContent = true, backgroundColor = null } = options
 
   // 设置容器样式
   if (container) {
@@ -45,24 +140,21 @@ export function applyProportionalMode(container, content, scale, options) {
 
   // 设置内容样式
   if (content && scaleContent) {
+    // 计算缩放后的尺寸
+    const designSize = getDesignSize(content, options)
+    const scaledWidth = designSize.width * scale
+    const scaledHeight = designSize.height * scale
+
     content.style.position = 'absolute'
-    content.style.transformOrigin = 'top left'
-    content.style.transform = `scale(${scale})`
-
-    if (centerContent) {
-      // 计算缩放后的尺寸
-      const scaledWidth = content.offsetWidth * scale
-      const scaledHeight = content.offsetHeight * scale
-
-      // 计算居中的位置
-      const containerWidth = container.offsetWidth
-      const containerHeight = container.offsetHeight
-      const left = Math.max(0, (containerWidth - scaledWidth) / 2)
-      const top = Math.max(0, (containerHeight - scaledHeight) / 2)
-
-      content.style.left = `${left}px`
-      content.style.top = `${top}px`
-    }
+    applyStrategyScale(content, scale, scale, options)
+
+    // 按对齐方式分配可用区域的剩余空间
+    const align = resolveAlign(options)
+    const area = getContentArea(container, options)
+    const left = area.left + Math.max(0, (area.width - scaledWidth) * align.x)
+    const top = area.top + Math.max(0, (area.height - scaledHeight) * align.y)
+
+    applyStrategyPosition(content, left, top)
   }
 }
 
@@ -97,32 +189,33 @@ export function applyFullscreenMode(container, content, scale, options) {
 
   // 设置内容样式
   if (content && scaleContent) {
-    const originalWidth = content.offsetWidth
-    const originalHeight = content.offsetHeight
-    const containerWidth = container.offsetWidth
-    const containerHeight = container.offsetHeight
+    const area = getContentArea(container, options)
 
     // 设置基础样式
     content.style.position = 'absolute'
-    content.style.top = '0'
-    content.style.left = '0'
     content.style.margin = '0'
     content.style.padding = '0'
 
-    // 使用transform进行非等比缩放（支持X和Y方向不同的缩放比例）
+    // 按缩放策略进行非等比缩放（支持X和Y方向不同的缩放比例）
     if (useTransform && scaleX !== null && scaleY !== null) {
-      content.style.width = `${originalWidth}px`
-      content.style.height = `${originalHeight}px`
-      content.style.transformOrigin = 'top left'
-      content.style.transform = `scaleX(${scaleX}) scaleY(${scaleY})`
+      applyStrategyScale(content, scaleX, scaleY, options)
     }
-    // 使用百分比宽高进行填充
+    // 使用百分比宽高进行填充，设置了 insets 时填充可用区域
     else {
-      content.style.width = '100%'
-      content.style.height = '100%'
+      const hasInsets =
+        area.left > 0 ||
+        area.top > 0 ||
+        area.width !== container.offsetWidth ||
+        area.height !== container.offsetHeight
+      content.style.zoom = ''
+      content.style.width = hasInsets ? `${area.width}px` : '100%'
+      content.style.height = hasInsets ? `${area.height}px` : '100%'
       content.style.transform = 'none'
     }
 
+    // 从可用区域的左上角开始
+    applyStrategyPosition(content, area.left, area.top)
+
     // 处理内容元素中的子元素
     if (!preserveChildStyles && content.children.length > 0) {
       const firstChild = content.children[0]
@@ -136,3 +229,290 @@ export function applyFullscreenMode(container, content, scale, options) {
     }
   }
 }
+
+/**
+ * 解析焦点在设计稿中的坐标
+ * @param {HTMLElement} content - 内容元素
+ * @param {Object|string|HTMLElement} focus - 焦点，{x, y}为0~1的相对位置，也可以是需要保持可见的元素或其选择器
+ * @param {Object} [designSize] - 设计尺寸，默认使用内容元素的尺寸
+ * @returns {Object} 焦点坐标 {x, y}（设计尺寸下的像素值）
+ */
+export function resolveFocusPoint(content, focus, designSize = null) {
+  const { width, height } = designSize || {
+    width: content.offsetWidth,
+    height: content.offsetHeight,
+  }
+
+  // 选择器或元素：取该元素的中心作为焦点
+  if (typeof focus === 'string' || focus instanceof HTMLElement) {
+    const target = typeof focus === 'string' ? content.querySelector(focus) : focus
+    if (target && content.contains(target)) {
+      const offset = getElementOffset(target, content)
+      return {
+        x: offset.left + target.offsetWidth / 2,
+        y: offset.top + target.offsetHeight / 2,
+      }
+    }
+  }
+  // 相对位置
+  else if (focus && typeof focus === 'object') {
+    const x = typeof focus.x === 'number' ? focus.x : 0.5
+    const y = typeof focus.y === 'number' ? focus.y : 0.5
+    return {
+      x: width * x,
+      y: height * y,
+    }
+  }
+
+  // 默认以内容中心为焦点
+  return {
+    x: width / 2,
+    y: height / 2,
+  }
+}
+
+/**
+ * 应用等比覆盖模式的样式
+ * @param {HTMLElement} container - 容器元素
+ * @param {HTMLElement} content - 内容元素
+ * @param {number} scale - 缩放比例
+ * @param {Object} options - 配置选项
+ */
+export function applyCoverMode(container, content, scale, options) {
+  const { scaleContent = true, backgroundColor = null, focus = null } = options
+
+  // 设置容器样式，裁切超出部分
+  if (container) {
+    container.style.position = 'relative'
+    container.style.overflow = 'hidden'
+
+    if (backgroundColor) {
+      container.style.backgroundColor = backgroundColor
+    }
+  }
+
+  // 设置内容样式
+  if (content && scaleContent) {
+    const designSize = getDesignSize(content, options)
+    const scaledWidth = designSize.width * scale
+    const scaledHeight = designSize.height * scale
+    const area = getContentArea(container, options)
+
+    content.style.position = 'absolute'
+    applyStrategyScale(content, scale, scale, options)
+
+    let left, top
+    if (focus) {
+      // 尽量将焦点放在可用区域中心，同时保证内容始终覆盖可用区域
+      const point = resolveFocusPoint(content, focus, designSize)
+      left = clamp(area.width / 2 - point.x * scale, area.width - scaledWidth, 0)
+      top = clamp(area.height / 2 - point.y * scale, area.height - scaledHeight, 0)
+    } else {
+      // 未指定焦点时按对齐方式裁切
+      const align = resolveAlign(options)
+      left = (area.width - scaledWidth) * align.x
+      top = (area.height - scaledHeight) * align.y
+    }
+
+    applyStrategyPosition(content, area.left + left, area.top + top)
+  }
+}
+
+/**
+ * 应用单方向适配的样式，另一个方向允许滚动
+ * @param {HTMLElement} container - 容器元素
+ * @param {HTMLElement} content - 内容元素
+ * @param {number} scale - 缩放比例
+ * @param {Object} options - 配置选项
+ * @param {boolean} vertical - 是否为垂直滚动
+ */
+function applyFitAxisMode(container, content, scale, options, vertical) {
+  const { scaleContent = true, backgroundColor = null } = options
+
+  // 设置容器样式，仅在一个方向上滚动
+  if (container) {
+    container.style.position = 'relative'
+    container.style.overflowX = vertical ? 'hidden' : 'auto'
+    container.style.overflowY = vertical ? 'auto' : 'hidden'
+
+    if (backgroundColor) {
+      container.style.backgroundColor = backgroundColor
+    }
+  }
+
+  // 设置内容样式，滚动方向从可用区域的起点开始排布，缩放后的尺寸撑开滚动区域
+  if (content && scaleContent) {
+    const area = getContentArea(container, options)
+    content.style.position = 'absolute'
+    applyStrategyScale(content, scale, scale, options)
+
+    // 不滚动的方向按对齐方式分配剩余空间（如 maxScale 限制后内容窄于容器）
+    const align = resolveAlign(options)
+    const designSize = getDesignSize(content, options)
+    const left = vertical
+      ? area.left + Math.max(0, (area.width - designSize.width * scale) * align.x)
+      : area.left
+    const top = vertical
+      ? area.top
+      : area.top + Math.max(0, (area.height - designSize.height * scale) * align.y)
+
+    applyStrategyPosition(content, left, top)
+  }
+}
+
+/**
+ * 应用宽度适配模式的样式
+ * @param {HTMLElement} container - 容器元素
+ * @param {HTMLElement} content - 内容元素
+ * @param {number} scale - 缩放比例
+ * @param {Object} options - 配置选项
+ */
+export function applyWidthMode(container, content, scale, options) {
+  applyFitAxisMode(container, content, scale, options, true)
+}
+
+/**
+ * 应用高度适配模式的样式
+ * @param {HTMLElement} container - 容器元素
+ * @param {HTMLElement} content - 内容元素
+ * @param {number} scale - 缩放比例
+ * @param {Object} options - 配置选项
+ */
+export function applyHeightMode(container, content, scale, options) {
+  applyFitAxisMode(container, content, scale, options, false)
+}
+
+/**
+ * 缩放比例被限制时的溢出处理方式
+ */
+export const OVERFLOW = {
+  SCROLL: 'scroll', // 容器滚动
+  HIDDEN: 'hidden', // 从左上角开始裁切
+  CENTER: 'center', // 居中裁切
+}
+
+/**
+ * 缩放比例被限制导致内容超出容器时，按溢出处理方式调整样式
+ * @param {HTMLElement} container - 容器元素
+ * @param {HTMLElement} content - 内容元素
+ * @param {number} scaleX - 水平方向缩放比例
+ * @param {number} scaleY - 垂直方向缩放比例
+ * @param {Object} options - 配置选项
+ * @param {string} [options.overflow='scroll'] - 溢出处理方式，参见 OVERFLOW
+ * @param {string} [options.scrollAxis] - 模式自身滚动的方向 'x'、'y' 或 'both'，该方向保持模式的滚动和排布
+ */
+export function applyOverflow(container, content, scaleX, scaleY, options) {
+  if (!container || !content) return
+
+  const { overflow = OVERFLOW.SCROLL, scrollAxis = null } = options
+  const area = getContentArea(container, options)
+  const designSize = getDesignSize(content, options)
+  const scaledWidth = designSize.width * scaleX
+  const scaledHeight = designSize.height * scaleY
+  const scrollX = scrollAxis === 'x' || scrollAxis === 'both'
+  const scrollY = scrollAxis === 'y' || scrollAxis === 'both'
+  const overflowX = !scrollX && scaledWidth > area.width
+  const overflowY = !scrollY && scaledHeight > area.height
+
+  if (!overflowX && !overflowY) return
+
+  // 只设置超出的方向，未超出的方向保持模式设置的 overflow
+  const overflowValue = overflow === OVERFLOW.SCROLL ? 'auto' : 'hidden'
+  if (overflowX) {
+    container.style.overflowX = overflowValue
+  }
+  if (overflowY) {
+    container.style.overflowY = overflowValue
+  }
+
+  // 居中裁切时超出部分平均分布在两侧，其他方式从左上角开始排布
+  const position = readStrategyPosition(content)
+  if (overflowX) {
+    position.x = area.left + (overflow === OVERFLOW.CENTER ? (area.width - scaledWidth) / 2 : 0)
+  }
+  if (overflowY) {
+    position.y = area.top + (overflow === OVERFLOW.CENTER ? (area.height - scaledHeight) / 2 : 0)
+  }
+  applyStrategyPosition(content, position.x, position.y)
+}
+
+// 注册内置模式
+
+registerMode(MODES.PROPORTIONAL, {
+  calculate: (containerSize, designSize) => ({
+    scale: calculateScale(
+      containerSize.width,
+      containerSize.height,
+      designSize.width,
+      designSize.height
+    ),
+  }),
+  apply: (container, content, result, options) =>
+    applyProportionalMode(container, content, result.scale, options),
+})
+
+registerMode(MODES.FULLSCREEN, {
+  uniform: false,
+  calculate: (containerSize, designSize) => {
+    // 计算非等比缩放比例
+    const { scaleX, scaleY } = calculateNonProportionalScale(
+      containerSize.width,
+      containerSize.height,
+      designSize.width,
+      designSize.height
+    )
+    return {
+      scale: calculateScale(
+        containerSize.width,
+        containerSize.height,
+        designSize.width,
+        designSize.height,
+        true
+      ),
+      scaleX,
+      scaleY,
+    }
+  },
+  apply: (container, content, result, options) =>
+    applyFullscreenMode(container, content, result.scale, {
+      ...options,
+      scaleX: result.scaleX,
+      scaleY: result.scaleY,
+    }),
+})
+
+registerMode(MODES.COVER, {
+  calculate: (containerSize, designSize) => ({
+    scale: calculateScale(
+      containerSize.width,
+      containerSize.height,
+      designSize.width,
+      designSize.height,
+      true
+    ),
+  }),
+  apply: (container, content, result, options) =>
+    applyCoverMode(container, content, result.scale, options),
+})
+
+registerMode(MODES.WIDTH, {
+  scroll: true,
+  scrollAxis: 'y',
+  // 只按宽度缩放，扣除滚动条占用的宽度
+  calculate: (containerSize, designSize) => ({
+    scale: (containerSize.clientWidth || containerSize.width) / designSize.width,
+  }),
+  apply: (container, content, result, options) =>
+    applyWidthMode(container, content, result.scale, options),
+})
+
+registerMode(MODES.HEIGHT, {
+  scroll: true,
+  scrollAxis: 'x',
+  // 只按高度缩放，扣除滚动条占用的高度
+  calculate: (containerSize, designSize) => ({
+    scale: (containerSize.clientHeight || containerSize.height) / designSize.height,
+  }),
+  apply: (container, content, result, options) =>
+    applyHeightMode(container, content, result.scale, options),
+})
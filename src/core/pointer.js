@@ -0,0 +1,64 @@
+/**
+ * 需要附加设计稿坐标的事件
+ */
+export const POINTER_EVENTS = [
+  'pointerdown',
+  'pointermove',
+  'pointerup',
+  'pointercancel',
+  'pointerover',
+  'pointerout',
+  'mousedown',
+  'mousemove',
+  'mouseup',
+  'click',
+  'dblclick',
+  'contextmenu',
+  'wheel',
+]
+
+/**
+ * 指针事件增强：为容器内的指针事件附加 designX / designY（设计稿坐标）
+ */
+export class PointerEnhancer {
+  /**
+   * 创建指针事件增强实例
+   * @param {Scaler} scaler - 缩放器实例，用于坐标转换
+   */
+  constructor(scaler) {
+    this.scaler = scaler
+    this.container = null
+
+    this._handleEvent = (event) => {
+      const point = this.scaler.clientToDesign(event.clientX, event.clientY)
+      if (point) {
+        event.designX = point.x
+        event.designY = point.y
+      }
+    }
+  }
+
+  /**
+   * 开始监听容器内的指针事件（捕获阶段，内部的监听器都能拿到设计稿坐标）
+   * @param {HTMLElement} container - 容器元素
+   */
+  attach(container) {
+    this.detach()
+    this.container = container
+    POINTER_EVENTS.forEach((type) => {
+      container.addEventListener(type, this._handleEvent, true)
+    })
+  }
+
+  /**
+   * 停止监听
+   */
+  detach() {
+    if (!this.container) return
+
+    POINTER_EVENTS.forEach((type) => {
+      this.container.removeEventListener(type, this._handleEvent, true)
+    })
+    this.container = null
+  }
+}
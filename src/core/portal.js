@@ -0,0 +1,146 @@
+/**
+ * 常见UI库挂载到 body 上的弹出层
+ */
+export const COMMON_POPUP_SELECTORS = [
+  '.el-popper', // Element UI / Element Plus
+  '.el-picker-panel',
+  '.ant-select-dropdown', // Ant Design
+  '.ant-picker-dropdown',
+  '.ant-dropdown',
+  '.ant-tooltip',
+  '.ant-popover',
+  '.ivu-select-dropdown', // iView / View UI
+  '.n-popover', // Naive UI
+  '[data-tippy-root]', // Tippy.js
+]
+
+/**
+ * 随缩放同步变换的样式
+ * reflow 和 rem 策略不在内容元素上设置缩放变换，此时只同步位置，弹出层需要自行适配尺寸
+ */
+const SYNCED_STYLES = ['left', 'top', 'transform', 'transformOrigin', 'zoom', 'transition']
+
+/**
+ * 弹出层容器：与内容元素共享同一缩放变换，弹出层挂载在其中时与内容保持一致的尺寸和位置
+ */
+export class Portal {
+  /**
+   * 创建弹出层容器
+   */
+  constructor() {
+    this.element = null
+    this.content = null
+    this.observer = null
+    this.selectors = []
+    this.redirectedNodes = []
+  }
+
+  /**
+   * 将弹出层容器挂载到容器中，位于内容元素上方
+   * 分离后再次挂载时复用同一弹出层容器，并恢复之前的弹出层转移
+   * @param {HTMLElement} container - 容器元素
+   * @param {HTMLElement} content - 内容元素
+   */
+  mount(container, content) {
+    this.content = content
+
+    if (!this.element) {
+      this.element = document.createElement('div')
+      this.element.className = 'fitscreen-portal'
+
+      // 宽高为0，避免遮挡内容的交互，弹出层在其中绝对定位
+      Object.assign(this.element.style, {
+        position: 'absolute',
+        width: '0',
+        height: '0',
+        overflow: 'visible',
+      })
+    }
+
+    container.appendChild(this.element)
+
+    if (this.selectors.length) {
+      this.redirect([])
+    }
+  }
+
+  /**
+   * 同步内容元素的缩放变换，在每次缩放后调用
+   */
+  update() {
+    if (!this.element || !this.content) return
+
+    SYNCED_STYLES.forEach((name) => {
+      this.element.style[name] = this.content.style[name]
+    })
+  }
+
+  /**
+   * 将挂载到 body 上的弹出层转移到弹出层容器中
+   * @param {string[]} [selectors=COMMON_POPUP_SELECTORS] - 弹出层选择器
+   */
+  redirect(selectors = COMMON_POPUP_SELECTORS) {
+    if (!this.element) return
+
+    this.selectors = Array.from(new Set([...this.selectors, ...selectors]))
+
+    // 转移已存在的弹出层
+    Array.from(document.body.children).forEach((node) => this.moveIfMatched(node))
+
+    // 监听之后挂载到 body 上的弹出层
+    if (!this.observer && typeof MutationObserver !== 'undefined') {
+      this.observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+          mutation.addedNodes.forEach((node) => this.moveIfMatched(node))
+        })
+      })
+      this.observer.observe(document.body, { childList: true })
+    }
+  }
+
+  /**
+   * 如果节点是（或包含）弹出层，将其转移到弹出层容器中
+   * @param {Node} node - body 的子节点
+   * @private
+   */
+  moveIfMatched(node) {
+    if (node.nodeType !== 1 || node === this.element || !this.selectors.length) return
+
+    const selector = this.selectors.join(',')
+    if (node.matches(selector) || node.querySelector(selector)) {
+      this.element.appendChild(node)
+      this.redirectedNodes.push(node)
+    }
+  }
+
+  /**
+   * 从容器中移除弹出层容器，转移过来的弹出层放回 body，保留弹出层容器和转移的选择器供再次挂载
+   */
+  detach() {
+    if (this.observer) {
+      this.observer.disconnect()
+      this.observer = null
+    }
+
+    this.redirectedNodes.forEach((node) => {
+      if (node.parentNode === this.element) {
+        document.body.appendChild(node)
+      }
+    })
+    this.redirectedNodes = []
+
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element)
+    }
+    this.content = null
+  }
+
+  /**
+   * 移除弹出层容器，转移过来的弹出层放回 body
+   */
+  destroy() {
+    this.detach()
+    this.element = null
+    this.selectors = []
+  }
+}
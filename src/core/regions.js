@@ -0,0 +1,107 @@
+import { getElement, resolveLength } from '../utils/helpers'
+
+/**
+ * 区域停靠方向
+ */
+export const DOCKS = {
+  TOP: 'top',
+  RIGHT: 'right',
+  BOTTOM: 'bottom',
+  LEFT: 'left',
+}
+
+/**
+ * 规范化区域配置
+ * @param {Object} regionMap - 区域配置，键为区域名称，按书写顺序依次停靠
+ * @param {HTMLElement} container - 容器元素，用于查找区域元素
+ * @returns {Object[]} 区域列表 {name, element, fixed, dock, size, width, height, mode}
+ */
+export function normalizeRegions(regionMap, container) {
+  if (!regionMap || typeof regionMap !== 'object') return []
+
+  return Object.keys(regionMap).reduce((regions, name) => {
+    const region = regionMap[name] || {}
+    const target = region.element || region.selector
+    const element =
+      typeof target === 'string' && container ? container.querySelector(target) : getElement(target)
+
+    if (!element) {
+      console.error(`[FitScreenJS] 找不到区域元素: ${name}`)
+      return regions
+    }
+
+    const dock = typeof region.dock === 'string' ? region.dock.toLowerCase() : null
+    regions.push({
+      ...region,
+      name,
+      element,
+      fixed: !!region.fixed,
+      dock: Object.values(DOCKS).includes(dock) ? dock : null,
+    })
+    return regions
+  }, [])
+}
+
+/**
+ * 计算每个区域可用的矩形
+ * 有 dock 的区域按顺序从剩余区域的对应边切下 size 大小（像素、百分比或CSS长度，百分比相对剩余区域），
+ * 没有 dock 的区域占用当前剩余的全部区域
+ * @param {Object[]} regions - normalizeRegions 返回的区域列表
+ * @param {Object} area - 可用区域 {left, top, width, height}
+ * @param {HTMLElement} [container] - 容器元素，用于计算CSS长度
+ * @returns {Object} 区域名称到矩形 {left, top, width, height} 的映射
+ */
+export function computeRegionBoxes(regions, area, container) {
+  const remaining = { ...area }
+  const boxes = {}
+
+  regions.forEach((region) => {
+    if (!region.dock) {
+      boxes[region.name] = { ...remaining }
+      return
+    }
+
+    const isHorizontal = region.dock === DOCKS.LEFT || region.dock === DOCKS.RIGHT
+    const available = isHorizontal ? remaining.width : remaining.height
+    const size = Math.min(available, Math.max(0, resolveLength(region.size, available, container)))
+    const box = { ...remaining }
+
+    if (isHorizontal) {
+      box.width = size
+      remaining.width -= size
+      if (region.dock === DOCKS.LEFT) {
+        remaining.left += size
+      } else {
+        box.left = remaining.left + remaining.width
+      }
+    } else {
+      box.height = size
+      remaining.height -= size
+      if (region.dock === DOCKS.TOP) {
+        remaining.top += size
+      } else {
+        box.top = remaining.top + remaining.height
+      }
+    }
+
+    boxes[region.name] = box
+  })
+
+  return boxes
+}
+
+/**
+ * 将固定区域按屏幕像素放置到矩形中，不参与缩放
+ * @param {HTMLElement} element - 区域元素
+ * @param {Object} box - 矩形 {left, top, width, height}
+ */
+export function applyFixedRegion(element, box) {
+  Object.assign(element.style, {
+    position: 'absolute',
+    boxSizing: 'border-box',
+    left: `${box.left}px`,
+    top: `${box.top}px`,
+    width: `${box.width}px`,
+    height: `${box.height}px`,
+  })
+}
@@ -1,5 +1,20 @@
-import { calculateScale, calculateNonProportionalScale } from '../utils/helpers'
-import { applyProportionalMode, applyFullscreenMode, MODES } from './modes'
+import { clampScale, resolveInsets, saveAttributes, restoreAttributes } from '../utils/helpers'
+import { getModeDefinition, applyOverflow, validateMode, resolveAlign, MODES } from './modes'
+import { normalizeRegions, computeRegionBoxes, applyFixedRegion } from './regions'
+import { RESIZE_REASONS } from './watcher'
+import { determineDesignSize } from './detector'
+import { getTileRect, resolveBezel } from './tile'
+import {
+  resolveStrategy,
+  readStrategyPosition,
+  acquireRemStrategy,
+  releaseRemStrategy,
+  saveCounterScale,
+  restoreCounterScale,
+  applyCounterScale,
+  STRATEGIES,
+  UNSCALED_ATTRIBUTE,
+} from './strategies'
 
 /**
  * 缩放计算器
@@ -18,6 +33,20 @@ export class Scaler {
     this.currentScaleX = 1 // 水平方向缩放比例
     this.currentScaleY = 1 // 垂直方向缩放比例
     this.currentMode = options.mode || MODES.PROPORTIONAL
+    this.currentResult = { scale: 1 } // 当前模式的计算结果
+    this.rawScale = 1 // 限制前的缩放比例
+    this.clampState = null // 缩放比例被限制的情况：'min'、'max' 或 null
+    this.currentOffset = { x: 0, y: 0 } // 内容在容器中的偏移
+    this.layers = [] // 随缩放更新的附加层
+    this.area = null // 扣除 insets 后内容可用的区域
+    this.strategy = STRATEGIES.TRANSFORM // 实际使用的缩放策略
+    this.unscaledElements = new Map() // 不参与缩放的元素及其反向缩放状态
+    this.regions = [] // 区域布局中的区域，适配区域附带各自的缩放器
+    this.syncedScale = null // 缩放组同步的缩放比例，设置后替代计算得到的缩放比例
+    this.resizeReason = RESIZE_REASONS.REFRESH // 最近一次刷新的原因
+    this.notifiedScale = { scale: 1, scaleX: 1, scaleY: 1 } // 最近一次通知的缩放比例
+    this.currentDesign = null // 提供了多个设计稿时当前使用的设计稿
+    this.updateStrategy()
     this.isInitialized = false
   }
 
@@ -29,6 +58,230 @@ export class Scaler {
   setElements(container, content) {
     this.container = container
     this.content = content
+
+    // 设置容器时申请 rem 策略，分离时释放，重新设置元素时再次申请
+    if (container && resolveStrategy(this.options.strategy) === STRATEGIES.REM) {
+      this.updateStrategy()
+    }
+  }
+
+  /**
+   * 设置区域布局：固定区域按屏幕像素显示，适配区域在各自的矩形中按各自的设计尺寸和模式缩放
+   * 每个区域的配置：
+   * - selector: 区域元素或容器内的选择器
+   * - fixed: 是否为固定区域
+   * - dock / size: 停靠方向（'top'、'right'、'bottom'、'left'）和尺寸，没有 dock 时占用剩余区域
+   * - width / height: 适配区域的设计尺寸，默认使用元素当前尺寸
+   * - mode: 适配区域的显示模式，默认跟随当前模式
+   * @param {Object|null} regionMap - 区域配置，键为区域名称，按书写顺序依次停靠，为空时取消区域布局
+   */
+  setRegions(regionMap) {
+    this.destroyRegions()
+
+    const regions = normalizeRegions(regionMap, this.container)
+    this.updateStrategy(regions.length > 0)
+
+    this.regions = regions.map((region) => {
+      // 保存区域元素原来的内联样式，取消区域布局时恢复
+      const originalAttributes = saveAttributes(region.element)
+
+      if (region.fixed) return { ...region, box: null, scaler: null, originalAttributes }
+
+      // 适配区域使用独立的缩放器，可用区域通过 insets 传入
+      const scaler = new Scaler({
+        ...this.options,
+        ...region,
+        mode: validateMode(region.mode || this.currentMode),
+        strategy: this.strategy,
+        insets: null,
+        onBeforeResize: null,
+        onResize: null,
+        onScaleChange: null,
+        onModeChange: null,
+        onDesignSizeChange: null,
+        onDesignChange: null,
+        designs: null,
+        tile: null,
+      })
+      scaler.setElements(this.container, region.element)
+      scaler.designSize = {
+        width: region.width || region.element.offsetWidth,
+        height: region.height || region.element.offsetHeight,
+      }
+
+      return { ...region, box: null, scaler, originalAttributes }
+    })
+
+    this.refresh()
+  }
+
+  /**
+   * 获取区域的缩放器，可用于区域内的坐标转换
+   * @param {string} name - 区域名称
+   * @returns {Scaler|null} 适配区域的缩放器，固定区域或不存在时返回null
+   */
+  getRegion(name) {
+    const region = this.regions.find((item) => item.name === name)
+    return region ? region.scaler : null
+  }
+
+  /**
+   * 计算每个区域可用的矩形，放置固定区域并缩放适配区域
+   * @private
+   */
+  applyRegions() {
+    const { boxes, insets } = this.layoutRegions()
+
+    // 以第一个适配区域作为主区域，getScale()、坐标转换等基于主区域，缩放组同步的缩放比例作用于主区域
+    const primary = this.getPrimaryRegion()
+    if (primary) {
+      primary.scaler.setSyncedScale(this.syncedScale)
+    }
+
+    // 按主区域的计算结果触发缩放前回调，取消时保持之前的状态
+    if (primary && !this.confirmRegionResize(primary.scaler, insets[primary.name])) {
+      return
+    }
+
+    this.regions.forEach((region) => {
+      const box = boxes[region.name]
+      region.box = box
+
+      if (!region.scaler) {
+        applyFixedRegion(region.element, box)
+        return
+      }
+
+      region.scaler.options.insets = insets[region.name]
+      region.scaler.refresh()
+    })
+
+    if (primary) {
+      const { scaler } = primary
+      // 回调修改的缩放比例只作用于本次刷新
+      scaler.options.onBeforeResize = null
+      this.adoptScaleState(scaler)
+      this.currentOffset = scaler.getOffset()
+    }
+
+    this.notifyResize()
+  }
+
+  /**
+   * 计算每个区域可用的矩形，以及适配区域的矩形换算的 insets
+   * @returns {Object} {boxes, insets}，键为区域名称
+   * @private
+   */
+  layoutRegions() {
+    const containerWidth = this.container.offsetWidth
+    const containerHeight = this.container.offsetHeight
+
+    // 区域在扣除 insets 后的区域内停靠
+    this.getContainerSize()
+    const boxes = computeRegionBoxes(this.regions, this.area, this.container)
+
+    const insets = {}
+    Object.keys(boxes).forEach((name) => {
+      const box = boxes[name]
+      insets[name] = {
+        top: box.top,
+        right: containerWidth - box.left - box.width,
+        bottom: containerHeight - box.top - box.height,
+        left: box.left,
+      }
+    })
+
+    return { boxes, insets }
+  }
+
+  /**
+   * 获取主区域，即第一个适配区域
+   * @returns {Object|null} 主区域，没有适配区域时返回null
+   * @private
+   */
+  getPrimaryRegion() {
+    return this.regions.find((region) => region.scaler) || null
+  }
+
+  /**
+   * 按主区域在新矩形中的计算结果触发缩放前回调
+   * 回调修改的缩放比例通过主区域缩放器的 onBeforeResize 应用到主区域
+   * @param {Scaler} scaler - 主区域的缩放器
+   * @param {Object} insets - 主区域的矩形换算的 insets
+   * @returns {boolean} 是否继续缩放
+   * @private
+   */
+  confirmRegionResize(scaler, insets) {
+    if (typeof this.options.onBeforeResize !== 'function') return true
+
+    const previousState = this.saveScaleState()
+    const previousRegionState = scaler.saveScaleState()
+    const previousInsets = scaler.options.insets
+
+    scaler.options.insets = insets
+    scaler.calculateCurrentScale()
+    this.adoptScaleState(scaler)
+
+    if (!this.confirmResize()) {
+      Object.assign(this, previousState)
+      Object.assign(scaler, previousRegionState)
+      scaler.options.insets = previousInsets
+      return false
+    }
+
+    const { currentScale, currentScaleX, currentScaleY } = this
+    scaler.options.onBeforeResize = (info) => {
+      info.scale = currentScale
+      info.scaleX = currentScaleX
+      info.scaleY = currentScaleY
+    }
+    return true
+  }
+
+  /**
+   * 使用区域缩放器的缩放状态作为整体的缩放状态
+   * @param {Scaler} scaler - 区域的缩放器
+   * @private
+   */
+  adoptScaleState(scaler) {
+    this.currentScale = scaler.currentScale
+    this.currentScaleX = scaler.currentScaleX
+    this.currentScaleY = scaler.currentScaleY
+    this.currentResult = scaler.currentResult
+    this.rawScale = scaler.rawScale
+    this.clampState = scaler.clampState
+  }
+
+  /**
+   * 销毁区域的缩放器，恢复区域元素原来的内联样式，取消区域布局
+   * @private
+   */
+  destroyRegions() {
+    this.regions.forEach((region) => {
+      if (region.scaler) {
+        region.scaler.destroy()
+      }
+      restoreAttributes(region.element, region.originalAttributes)
+    })
+    this.regions = []
+  }
+
+  /**
+   * 添加附加层，每次缩放后调用其 update(scaler) 方法
+   * @param {Object} layer - 附加层
+   */
+  addLayer(layer) {
+    if (layer && !this.layers.includes(layer)) {
+      this.layers.push(layer)
+    }
+  }
+
+  /**
+   * 移除附加层
+   * @param {Object} layer - 附加层
+   */
+  removeLayer(layer) {
+    this.layers = this.layers.filter((item) => item !== layer)
   }
 
   /**
@@ -38,25 +291,156 @@ export class Scaler {
    */
   setDesignSize(width, height) {
     if (width > 0 && height > 0) {
-      this.designSize = { width, height }
+      this.updateDesignSize(width, height)
       this.refresh()
     }
   }
 
+  /**
+   * 更新设计尺寸，尺寸变化时触发设计尺寸变化回调
+   * @param {number} width - 设计宽度
+   * @param {number} height - 设计高度
+   * @private
+   */
+  updateDesignSize(width, height) {
+    const isChanged = width !== this.designSize.width || height !== this.designSize.height
+    this.designSize = { width, height }
+
+    if (isChanged && typeof this.options.onDesignSizeChange === 'function') {
+      this.options.onDesignSizeChange({ width, height })
+    }
+  }
+
+  /**
+   * 获取当前使用的设计稿
+   * @returns {Object|null} 设计稿，未提供 designs 时返回null
+   */
+  getDesign() {
+    return this.currentDesign
+  }
+
+  /**
+   * 提供了多个设计稿时，按容器当前的宽高比重新选择设计稿
+   * @returns {Object|null} 新选中的设计稿 {design, width, height}，设计稿未变化时返回null
+   * @private
+   */
+  selectDesign() {
+    const { designs } = this.options
+    if (!Array.isArray(designs) || !designs.length) return null
+
+    const { width, height, design } = determineDesignSize(
+      this.options,
+      this.container,
+      this.content
+    )
+    if (!design || design === this.currentDesign) return null
+
+    return { design, width, height }
+  }
+
+  /**
+   * 确认缩放后切换到新选中的设计稿：切换内容元素上设计稿的 className，并触发设计稿变化回调
+   * @param {Object} selected - selectDesign 返回的设计稿
+   * @param {Object} previousSize - 切换前的设计尺寸 {width, height}
+   * @private
+   */
+  commitDesign(selected, previousSize) {
+    const { design, width, height } = selected
+    const { onDesignChange, onDesignSizeChange } = this.options
+    const previousDesign = this.currentDesign
+
+    this.toggleDesignClass(previousDesign, false)
+    this.toggleDesignClass(design, true)
+    this.currentDesign = design
+
+    if (
+      (width !== previousSize.width || height !== previousSize.height) &&
+      typeof onDesignSizeChange === 'function'
+    ) {
+      onDesignSizeChange({ width, height })
+    }
+
+    if (typeof onDesignChange === 'function') {
+      onDesignChange({ design, previousDesign, width, height })
+    }
+  }
+
+  /**
+   * 在内容元素上添加或移除设计稿的 className
+   * @param {Object|null} design - 设计稿
+   * @param {boolean} force - true 添加，false 移除
+   * @private
+   */
+  toggleDesignClass(design, force) {
+    if (!design || !design.className || !this.content) return
+
+    design.className
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((name) => this.content.classList.toggle(name, force))
+  }
+
+  /**
+   * 设置拼接屏分块，容器只显示设计稿中该分块的区域
+   * @param {Object|null} tile - 规范化后的分块配置 {cols, rows, col, row}，参见 normalizeTile，
+   *   为空时显示整个设计稿
+   */
+  setTile(tile) {
+    this.options.tile = tile || null
+    this.refresh()
+  }
+
+  /**
+   * 获取当前分块在设计稿中的矩形
+   * @returns {Object|null} 设计稿中的矩形 {x, y, width, height}，未分块时返回null
+   */
+  getTileRect() {
+    const { tile, bezel } = this.options
+    if (!tile) return null
+
+    // 边框宽度按分块占满可用区域换算为相对分块尺寸的比例
+    const gap = { x: 0, y: 0 }
+    if (bezel && this.area && this.area.width > 0 && this.area.height > 0) {
+      const { horizontal, vertical } = resolveBezel(bezel)
+      gap.x = horizontal / this.area.width
+      gap.y = vertical / this.area.height
+    }
+
+    return getTileRect(tile, this.designSize, gap)
+  }
+
   /**
    * 设置显示模式
    * @param {string} mode - 显示模式
+   * @param {string} [reason='refresh'] - 模式变化后刷新的原因，参见 RESIZE_REASONS
    */
-  setMode(mode) {
+  setMode(mode, reason = RESIZE_REASONS.REFRESH) {
     // 获取之前的模式
     const previousMode = this.currentMode
 
     // 更新模式
     this.currentMode = mode
 
+    // 没有指定模式的适配区域跟随当前模式
+    this.regions.forEach((region) => {
+      if (region.scaler && !region.mode) {
+        region.scaler.setMode(mode)
+      }
+    })
+
+    // 离开滚动模式时重置滚动位置，避免影响其他模式的定位
+    const previousDefinition = getModeDefinition(previousMode)
+    const definition = getModeDefinition(mode)
+    const wasScroll = Boolean(previousDefinition && previousDefinition.scroll)
+    const isScroll = Boolean(definition && definition.scroll)
+    if (wasScroll && !isScroll && this.container) {
+      this.container.scrollTop = 0
+      this.container.scrollLeft = 0
+    }
+
     // 如果模式有变化且已初始化，刷新缩放
     if (previousMode !== this.currentMode && this.isInitialized) {
-      this.refresh()
+      this.refresh(reason)
 
       // 触发模式变化回调
       if (typeof this.options.onModeChange === 'function') {
@@ -67,6 +451,59 @@ export class Scaler {
     return this.currentMode
   }
 
+  /**
+   * 设置缩放策略
+   * @param {string} strategy - 缩放策略，参见 STRATEGIES
+   * @returns {string} 实际使用的缩放策略
+   */
+  setStrategy(strategy) {
+    const previousStrategy = this.strategy
+    this.options.strategy = strategy
+    this.updateStrategy()
+
+    this.regions.forEach((region) => region.scaler && region.scaler.setStrategy(this.strategy))
+
+    if (previousStrategy !== this.strategy) {
+      this.refresh()
+    }
+
+    return this.strategy
+  }
+
+  /**
+   * 获取实际使用的缩放策略（不支持或不可用时会回退到 transform）
+   * @returns {string} 缩放策略
+   */
+  getStrategy() {
+    return this.strategy
+  }
+
+  /**
+   * 根据配置更新实际使用的缩放策略，rem 策略同一时间只允许一个实例使用，设置容器后才占用
+   * 区域布局中各区域按各自的比例缩放，无法共用根元素 font-size，因此不支持 rem 策略
+   * @param {boolean} [hasRegions] - 是否使用区域布局，默认根据当前区域判断
+   * @private
+   */
+  updateStrategy(hasRegions = this.regions.length > 0) {
+    let strategy = resolveStrategy(this.options.strategy)
+
+    if (strategy === STRATEGIES.REM && hasRegions) {
+      console.error('[FitScreenJS] 区域布局不支持 rem 策略，回退到 transform 策略')
+      strategy = STRATEGIES.TRANSFORM
+    }
+
+    if (strategy === STRATEGIES.REM) {
+      if (this.container && !acquireRemStrategy(this)) {
+        console.error('[FitScreenJS] rem 策略已被其他实例使用，回退到 transform 策略')
+        strategy = STRATEGIES.TRANSFORM
+      }
+    } else {
+      releaseRemStrategy(this)
+    }
+
+    this.strategy = strategy
+  }
+
   /**
    * 获取当前显示模式
    * @returns {string} 当前显示模式
@@ -83,6 +520,91 @@ export class Scaler {
     return this.currentScale
   }
 
+  /**
+   * 获取内容在容器中的偏移
+   * @returns {Object} 偏移量 {x, y}（像素）
+   */
+  getOffset() {
+    return { ...this.currentOffset }
+  }
+
+  /**
+   * 获取限制前的原始缩放比例
+   * @returns {number} 原始缩放比例
+   */
+  getRawScale() {
+    return this.rawScale
+  }
+
+  /**
+   * 获取容器中内容可用的尺寸（扣除 insets）
+   * @returns {Object} 可用尺寸 {width, height, clientWidth, clientHeight}
+   */
+  getContainerSize() {
+    const insets = resolveInsets(this.options.insets, this.container)
+    const horizontal = insets.left + insets.right
+    const vertical = insets.top + insets.bottom
+
+    this.area = {
+      left: insets.left,
+      top: insets.top,
+      width: Math.max(0, this.container.offsetWidth - horizontal),
+      height: Math.max(0, this.container.offsetHeight - vertical),
+    }
+
+    return {
+      width: this.area.width,
+      height: this.area.height,
+      // 不含滚动条的可视区域尺寸
+      clientWidth:
+        this.container.clientWidth && Math.max(0, this.container.clientWidth - horizontal),
+      clientHeight:
+        this.container.clientHeight && Math.max(0, this.container.clientHeight - vertical),
+    }
+  }
+
+  /**
+   * 获取传给模式的配置选项，附带内容可用的区域和设计尺寸
+   * @returns {Object} 配置选项
+   * @private
+   */
+  getApplyOptions() {
+    const tileRect = this.getTileRect()
+
+    return {
+      ...this.options,
+      area: tileRect ? this.getTileArea(tileRect) : this.area,
+      designSize: this.designSize,
+      strategy: this.strategy,
+    }
+  }
+
+  /**
+   * 计算分块时传给模式的区域：分块按对齐方式放在可用区域中，
+   * 整个设计稿相对分块向左上方偏移，模式将内容放在该区域的左上角
+   * @param {Object} tileRect - 分块在设计稿中的矩形
+   * @returns {Object} 区域 {left, top, width, height}
+   * @private
+   */
+  getTileArea(tileRect) {
+    const align = resolveAlign(this.options)
+    const tileWidth = tileRect.width * this.currentScaleX
+    const tileHeight = tileRect.height * this.currentScaleY
+
+    return {
+      left:
+        this.area.left +
+        Math.max(0, (this.area.width - tileWidth) * align.x) -
+        tileRect.x * this.currentScaleX,
+      top:
+        this.area.top +
+        Math.max(0, (this.area.height - tileHeight) * align.y) -
+        tileRect.y * this.currentScaleY,
+      width: this.designSize.width * this.currentScaleX,
+      height: this.designSize.height * this.currentScaleY,
+    }
+  }
+
   /**
    * 计算当前缩放比例
    * @returns {number} 计算得到的缩放比例
@@ -92,29 +614,134 @@ export class Scaler {
       return 1
     }
 
-    const containerWidth = this.container.offsetWidth
-    const containerHeight = this.container.offsetHeight
+    const definition = getModeDefinition(this.currentMode) || getModeDefinition(MODES.PROPORTIONAL)
 
-    // 全屏模式下计算非等比缩放比例
-    if (this.currentMode === MODES.FULLSCREEN) {
-      const nonProportionalScale = calculateNonProportionalScale(
-        containerWidth,
-        containerHeight,
-        this.designSize.width,
-        this.designSize.height
-      )
-      this.currentScaleX = nonProportionalScale.scaleX
-      this.currentScaleY = nonProportionalScale.scaleY
+    // 分块时按分块的尺寸适配容器
+    const containerSize = this.getContainerSize()
+    const tileRect = this.getTileRect()
+    const viewSize = tileRect ? { width: tileRect.width, height: tileRect.height } : this.designSize
+    const result = definition.calculate(containerSize, viewSize, this.options)
+
+    // 模式可以直接返回缩放比例
+    const normalizedResult = typeof result === 'number' ? { scale: result } : result
+    this.rawScale = normalizedResult.scale
+    this.currentResult = this.clampResult(normalizedResult)
+
+    // 缩放组中所有实例使用同一缩放比例
+    if (typeof this.syncedScale === 'number') {
+      this.currentResult = this.syncResult(this.currentResult)
     }
 
-    // 计算等比缩放比例，fullscreen模式下使用cover=true
-    return calculateScale(
-      containerWidth,
-      containerHeight,
-      this.designSize.width,
-      this.designSize.height,
-      this.currentMode === MODES.FULLSCREEN
-    )
+    const { scale, scaleX, scaleY } = this.currentResult
+    this.currentScaleX = typeof scaleX === 'number' ? scaleX : scale
+    this.currentScaleY = typeof scaleY === 'number' ? scaleY : scale
+
+    return this.currentResult.scale
+  }
+
+  /**
+   * 按容器当前宽高比将要选中的设计稿计算缩放比例，不切换设计稿也不改变当前的缩放状态，
+   * 用于缩放组在组内实例刷新前计算同步的缩放比例
+   * @returns {number} 计算得到的缩放比例
+   */
+  measureScale() {
+    // 区域布局按主区域在新矩形中的计算结果
+    if (this.regions.length) {
+      const primary = this.getPrimaryRegion()
+      if (!primary || !this.container) return 1
+
+      const { scaler } = primary
+      const previousInsets = scaler.options.insets
+      scaler.options.insets = this.layoutRegions().insets[primary.name]
+      scaler.setSyncedScale(this.syncedScale)
+      const scale = scaler.measureScale()
+      scaler.options.insets = previousInsets
+      return scale
+    }
+
+    const previousState = this.saveScaleState()
+
+    const selectedDesign = this.selectDesign()
+    if (selectedDesign) {
+      this.designSize = { width: selectedDesign.width, height: selectedDesign.height }
+    }
+
+    const scale = this.calculateCurrentScale()
+    Object.assign(this, previousState)
+    return scale
+  }
+
+  /**
+   * 按 minScale / maxScale 限制计算结果
+   * @param {Object} result - 模式的计算结果
+   * @returns {Object} 限制后的计算结果
+   */
+  clampResult(result) {
+    const { minScale, maxScale } = this.options
+    const clampedResult = { ...result }
+    let clampState = null
+
+    for (const key of ['scale', 'scaleX', 'scaleY']) {
+      if (typeof result[key] !== 'number') continue
+
+      clampedResult[key] = clampScale(result[key], minScale, maxScale)
+      if (clampedResult[key] > result[key]) {
+        clampState = 'min'
+      } else if (clampedResult[key] < result[key]) {
+        clampState = 'max'
+      }
+    }
+
+    this.clampState = clampState
+    return clampedResult
+  }
+
+  /**
+   * 当前模式是否等比缩放，非等比模式（如 fullscreen）按各方向拉伸，不参与缩放组的同步
+   * 区域布局按主区域的模式判断
+   * @returns {boolean} 是否等比缩放
+   */
+  isUniformScale() {
+    const primary = this.getPrimaryRegion()
+    if (primary) return primary.scaler.isUniformScale()
+
+    const definition = getModeDefinition(this.currentMode) || getModeDefinition(MODES.PROPORTIONAL)
+    return definition.uniform !== false
+  }
+
+  /**
+   * 设置缩放组同步的缩放比例
+   * @param {number|null} scale - 缩放比例，为null时恢复按模式计算
+   */
+  setSyncedScale(scale) {
+    this.syncedScale = typeof scale === 'number' && scale > 0 ? scale : null
+  }
+
+  /**
+   * 用同步的缩放比例替换计算结果，非等比模式的结果保持不变
+   * @param {Object} result - 模式的计算结果
+   * @returns {Object} 替换后的计算结果
+   * @private
+   */
+  syncResult(result) {
+    if (!this.isUniformScale()) return result
+
+    const syncedResult = { ...result, scale: this.syncedScale }
+
+    // 同步后的缩放比例与计算结果不同时，按限制缩放比例的方式处理溢出
+    if (this.syncedScale > result.scale) {
+      this.clampState = 'min'
+    } else if (this.syncedScale < result.scale) {
+      this.clampState = 'max'
+    }
+
+    for (const key of ['scaleX', 'scaleY']) {
+      if (typeof result[key] === 'number') {
+        syncedResult[key] = this.syncedScale
+      }
+    }
+
+    return syncedResult
   }
 
   /**
@@ -123,42 +750,352 @@ export class Scaler {
   applyScaling() {
     if (!this.container || !this.content) return
 
+    const definition = getModeDefinition(this.currentMode) || getModeDefinition(MODES.PROPORTIONAL)
+
+    // 记录滚动位置在设计稿中的坐标，缩放后恢复
+    const scrollAnchor = definition.scroll ? this.getScrollAnchor() : null
+
+    const wasClamped = this.clampState !== null
+    const previousState = this.saveScaleState()
+
+    // 按容器的宽高比选择设计稿，确认缩放后才切换
+    const selectedDesign = this.selectDesign()
+    if (selectedDesign) {
+      this.designSize = { width: selectedDesign.width, height: selectedDesign.height }
+    }
+
     // 计算缩放比例
     this.currentScale = this.calculateCurrentScale()
 
-    // 全屏填充模式
-    if (this.currentMode === MODES.FULLSCREEN) {
-      applyFullscreenMode(this.container, this.content, this.currentScale, {
-        ...this.options,
-        scaleX: this.currentScaleX,
-        scaleY: this.currentScaleY,
+    // 缩放前回调可以取消本次缩放，保持之前的状态（包括设计稿）
+    if (!this.confirmResize()) {
+      Object.assign(this, previousState)
+      return
+    }
+
+    if (selectedDesign) {
+      this.commitDesign(selectedDesign, previousState.designSize)
+    }
+
+    // 由模式定义应用样式
+    const applyOptions = this.getApplyOptions()
+    definition.apply(this.container, this.content, this.currentResult, applyOptions)
+
+    // 缩放比例被限制时处理内容溢出
+    if (this.clampState) {
+      applyOverflow(this.container, this.content, this.currentScaleX, this.currentScaleY, {
+        ...applyOptions,
+        scrollAxis: definition.scroll ? definition.scrollAxis || 'both' : null,
       })
     }
-    // 等比缩放模式
-    else {
-      applyProportionalMode(this.container, this.content, this.currentScale, this.options)
+    // 解除限制后重置溢出时产生的滚动位置
+    else if (wasClamped && !definition.scroll) {
+      this.container.scrollTop = 0
+      this.container.scrollLeft = 0
+    }
+
+    // 记录模式应用后内容的偏移
+    this.currentOffset = readStrategyPosition(this.content)
+
+    if (scrollAnchor) {
+      this.restoreScrollAnchor(scrollAnchor)
+    }
+
+    // 反向缩放不参与缩放的元素
+    this.applyUnscaledElements()
+
+    // 更新附加层
+    this.layers.forEach((layer) => layer.update(this))
+
+    this.notifyResize()
+  }
+
+  /**
+   * 保存当前的缩放状态
+   * @returns {Object} 缩放状态
+   * @private
+   */
+  saveScaleState() {
+    return {
+      currentScale: this.currentScale,
+      currentScaleX: this.currentScaleX,
+      currentScaleY: this.currentScaleY,
+      currentResult: this.currentResult,
+      rawScale: this.rawScale,
+      clampState: this.clampState,
+      designSize: this.designSize,
+    }
+  }
+
+  /**
+   * 触发缩放前回调，回调可以修改 scale（非等比缩放时为 scaleX / scaleY），返回false取消本次缩放
+   * @returns {boolean} 是否继续缩放
+   * @private
+   */
+  confirmResize() {
+    const { onBeforeResize } = this.options
+    if (typeof onBeforeResize !== 'function') return true
+
+    const info = {
+      width: this.container.offsetWidth,
+      height: this.container.offsetHeight,
+      scale: this.currentScale,
+      scaleX: this.currentScaleX,
+      scaleY: this.currentScaleY,
+      raw: this.rawScale,
+      reason: this.resizeReason,
     }
+    if (onBeforeResize(info) === false) return false
+
+    // 应用回调修改后的缩放比例
+    const result = { ...this.currentResult, scale: info.scale }
+    if (typeof this.currentResult.scaleX === 'number') result.scaleX = info.scaleX
+    if (typeof this.currentResult.scaleY === 'number') result.scaleY = info.scaleY
 
-    // 触发尺寸变化回调
+    this.currentResult = result
+    this.currentScale = result.scale
+    this.currentScaleX = typeof result.scaleX === 'number' ? result.scaleX : result.scale
+    this.currentScaleY = typeof result.scaleY === 'number' ? result.scaleY : result.scale
+    return true
+  }
+
+  /**
+   * 触发尺寸变化回调，非等比缩放时附带X和Y方向的缩放比例，并附带限制前后的缩放比例；
+   * 缩放比例发生变化时触发缩放比例变化回调
+   * @private
+   */
+  notifyResize() {
     if (typeof this.options.onResize === 'function') {
+      const isNonProportional =
+        this.currentResult.scaleX !== undefined || this.currentResult.scaleY !== undefined
       this.options.onResize(
         this.container.offsetWidth,
         this.container.offsetHeight,
         this.currentScale,
-        this.currentMode === MODES.FULLSCREEN
-          ? { x: this.currentScaleX, y: this.currentScaleY }
-          : null
+        isNonProportional ? { x: this.currentScaleX, y: this.currentScaleY } : null,
+        {
+          raw: this.rawScale,
+          scale: this.currentScale,
+          clamped: this.clampState,
+          reason: this.resizeReason,
+        }
+      )
+    }
+
+    const previous = this.notifiedScale
+    if (
+      previous.scale !== this.currentScale ||
+      previous.scaleX !== this.currentScaleX ||
+      previous.scaleY !== this.currentScaleY
+    ) {
+      this.notifiedScale = {
+        scale: this.currentScale,
+        scaleX: this.currentScaleX,
+        scaleY: this.currentScaleY,
+      }
+
+      if (typeof this.options.onScaleChange === 'function') {
+        this.options.onScaleChange({ ...this.notifiedScale, previousScale: previous.scale })
+      }
+    }
+  }
+
+  /**
+   * 查找不参与缩放的元素
+   * @returns {HTMLElement[]} 元素列表
+   * @private
+   */
+  findUnscaledElements() {
+    const { unscaledSelector } = this.options
+    const selector = [`[${UNSCALED_ATTRIBUTE}]`, unscaledSelector].filter(Boolean).join(',')
+
+    try {
+      return Array.from(this.content.querySelectorAll(selector))
+    } catch (error) {
+      console.error('[FitScreenJS] 无效的 unscaledSelector:', unscaledSelector)
+      return Array.from(this.content.querySelectorAll(`[${UNSCALED_ATTRIBUTE}]`))
+    }
+  }
+
+  /**
+   * 反向缩放标记了 data-fitscreen-no-scale 或匹配 unscaledSelector 的元素，
+   * 使其以屏幕像素1:1显示，同时保持锚点位置
+   */
+  applyUnscaledElements() {
+    if (!this.content) return
+
+    const elements = this.findUnscaledElements()
+
+    // 恢复不再匹配的元素
+    this.unscaledElements.forEach((state, element) => {
+      if (!elements.includes(element)) {
+        restoreCounterScale(element, state)
+        this.unscaledElements.delete(element)
+      }
+    })
+
+    elements.forEach((element) => {
+      if (!this.unscaledElements.has(element)) {
+        this.unscaledElements.set(element, saveCounterScale(element))
+      }
+      applyCounterScale(
+        element,
+        this.currentScaleX,
+        this.currentScaleY,
+        this.strategy,
+        this.unscaledElements.get(element)
       )
+    })
+  }
+
+  /**
+   * 恢复所有不参与缩放的元素的原始样式
+   */
+  restoreUnscaledElements() {
+    this.unscaledElements.forEach((state, element) => restoreCounterScale(element, state))
+    this.unscaledElements.clear()
+  }
+
+  /**
+   * 获取设计稿原点在视口中的位置
+   * @returns {Object} 视口坐标 {x, y}
+   * @private
+   */
+  getDesignOrigin() {
+    const rect = this.container.getBoundingClientRect()
+    return {
+      x:
+        rect.left +
+        (this.container.clientLeft || 0) +
+        this.currentOffset.x -
+        this.container.scrollLeft,
+      y:
+        rect.top +
+        (this.container.clientTop || 0) +
+        this.currentOffset.y -
+        this.container.scrollTop,
     }
   }
 
+  /**
+   * 将视口坐标（如 event.clientX/clientY）转换为设计稿坐标
+   * @param {number} x - 视口横坐标
+   * @param {number} y - 视口纵坐标
+   * @returns {Object|null} 设计稿坐标 {x, y}，未设置容器时返回null
+   */
+  clientToDesign(x, y) {
+    if (!this.container) return null
+
+    const origin = this.getDesignOrigin()
+    return {
+      x: (x - origin.x) / this.currentScaleX,
+      y: (y - origin.y) / this.currentScaleY,
+    }
+  }
+
+  /**
+   * 将设计稿坐标转换为视口坐标
+   * @param {number} x - 设计稿横坐标
+   * @param {number} y - 设计稿纵坐标
+   * @returns {Object|null} 视口坐标 {x, y}，未设置容器时返回null
+   */
+  designToClient(x, y) {
+    if (!this.container) return null
+
+    const origin = this.getDesignOrigin()
+    return {
+      x: origin.x + x * this.currentScaleX,
+      y: origin.y + y * this.currentScaleY,
+    }
+  }
+
+  /**
+   * 将设计稿中的矩形转换为视口中的矩形
+   * @param {Object} rect - 设计稿矩形 {x, y, width, height}，也可以使用 left/top 代替 x/y
+   * @returns {Object|null} 视口矩形 {x, y, width, height, left, top, right, bottom}
+   */
+  designRectToClient(rect) {
+    const x = typeof rect.x === 'number' ? rect.x : rect.left || 0
+    const y = typeof rect.y === 'number' ? rect.y : rect.top || 0
+    const point = this.designToClient(x, y)
+    if (!point) return null
+
+    const width = (rect.width || 0) * this.currentScaleX
+    const height = (rect.height || 0) * this.currentScaleY
+    return {
+      x: point.x,
+      y: point.y,
+      width,
+      height,
+      left: point.x,
+      top: point.y,
+      right: point.x + width,
+      bottom: point.y + height,
+    }
+  }
+
+  /**
+   * 获取当前滚动位置对应的设计稿坐标，扣除内容在容器中的偏移（如 insets）
+   * @returns {Object} 设计稿坐标 {x, y} 和当前的缩放比例 scale
+   */
+  getScrollAnchor() {
+    const scale = this.currentScale || 1
+    const offset = this.currentOffset
+    return {
+      x: (this.container.scrollLeft - offset.x) / scale,
+      y: (this.container.scrollTop - offset.y) / scale,
+      scale,
+    }
+  }
+
+  /**
+   * 按设计稿坐标恢复滚动位置
+   * @param {Object} anchor - getScrollAnchor 返回的设计稿坐标
+   */
+  restoreScrollAnchor(anchor) {
+    // 滚动位置在内容起点之前（insets 留出的区域）时，该区域不随缩放变化，保持原来的像素距离
+    const toScroll = (coordinate, offset) =>
+      offset + coordinate * (coordinate < 0 ? anchor.scale : this.currentScale)
+
+    this.container.scrollLeft = toScroll(anchor.x, this.currentOffset.x)
+    this.container.scrollTop = toScroll(anchor.y, this.currentOffset.y)
+  }
+
   /**
    * 刷新缩放（通常在窗口大小变化时调用）
+   * @param {string} [reason='refresh'] - 刷新的原因，参见 RESIZE_REASONS，随尺寸变化回调传出
    */
-  refresh() {
-    if (this.container && this.content) {
+  refresh(reason = RESIZE_REASONS.REFRESH) {
+    this.resizeReason = reason
+
+    if (this.container && this.regions.length) {
+      this.applyRegions()
+      this.isInitialized = true
+    } else if (this.container && this.content) {
       this.applyScaling()
       this.isInitialized = true
     }
   }
+
+  /**
+   * 分离容器和内容元素，恢复不参与缩放的元素、区域元素和设计稿的 className，并释放缩放策略占用的资源
+   */
+  detach() {
+    this.toggleDesignClass(this.currentDesign, false)
+    this.currentDesign = null
+    this.restoreUnscaledElements()
+    this.destroyRegions()
+    releaseRemStrategy(this)
+
+    this.container = null
+    this.content = null
+    this.isInitialized = false
+  }
+
+  /**
+   * 销毁缩放器，恢复不参与缩放的元素并释放缩放策略占用的资源
+   */
+  destroy() {
+    this.detach()
+  }
 }
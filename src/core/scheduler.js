@@ -0,0 +1,146 @@
+import { debounce, throttle } from '../utils/helpers'
+
+/**
+ * 尺寸变化后刷新的调度方式
+ */
+export const RESIZE_STRATEGIES = {
+  RAF: 'raf', // 在下一帧刷新
+  DEBOUNCE: 'debounce', // 尺寸停止变化一段时间后刷新
+  THROTTLE: 'throttle', // 尺寸变化过程中按固定间隔刷新
+}
+
+/**
+ * debounce 和 throttle 默认的间隔（毫秒）
+ */
+export const DEFAULT_RESIZE_DELAY = 100
+
+/**
+ * 验证调度方式是否有效
+ * @param {string} strategy - 调度方式
+ * @returns {string} 有效的调度方式
+ */
+export function validateResizeStrategy(strategy) {
+  const normalizedStrategy = typeof strategy === 'string' ? strategy.toLowerCase() : ''
+  return Object.values(RESIZE_STRATEGIES).includes(normalizedStrategy)
+    ? normalizedStrategy
+    : RESIZE_STRATEGIES.RAF
+}
+
+/**
+ * 等待下一帧执行的任务，键为任务所属的对象，同一对象在一帧内只执行最后一次
+ */
+const pendingTasks = new Map()
+
+/**
+ * 已请求的帧
+ */
+let frameId = null
+
+/**
+ * 是否正在执行帧内的任务
+ */
+let isFlushing = false
+
+/**
+ * 请求下一帧，不支持 requestAnimationFrame 时使用定时器
+ * @param {Function} callback - 回调
+ * @returns {number} 帧ID
+ */
+function requestFrame(callback) {
+  if (typeof window.requestAnimationFrame === 'function') {
+    return window.requestAnimationFrame(callback)
+  }
+  return setTimeout(callback, 16)
+}
+
+/**
+ * 取消请求的帧
+ * @param {number} id - 帧ID
+ */
+function cancelFrameRequest(id) {
+  if (typeof window.cancelAnimationFrame === 'function') {
+    window.cancelAnimationFrame(id)
+  } else {
+    clearTimeout(id)
+  }
+}
+
+/**
+ * 在同一帧中依次执行所有等待的任务
+ * 执行过程中新安排的任务（如实例刷新时转交给缩放组）加入本帧执行，
+ * 本帧已执行过的对象再次安排的任务留到下一帧，避免循环
+ */
+function flushTasks() {
+  frameId = null
+  isFlushing = true
+
+  const flushedOwners = new Set()
+  const deferredTasks = new Map()
+
+  while (pendingTasks.size) {
+    const [owner, task] = pendingTasks.entries().next().value
+    pendingTasks.delete(owner)
+
+    if (flushedOwners.has(owner)) {
+      deferredTasks.set(owner, task)
+      continue
+    }
+    flushedOwners.add(owner)
+
+    try {
+      task()
+    } catch (error) {
+      console.error('[FitScreenJS] 刷新出错:', error)
+    }
+  }
+
+  isFlushing = false
+  deferredTasks.forEach((task, owner) => scheduleFrame(owner, task))
+}
+
+/**
+ * 在下一帧执行任务，所有实例共享同一帧
+ * @param {Object} owner - 任务所属的对象，同一对象在一帧内只执行最后一次安排的任务
+ * @param {Function} task - 任务
+ */
+export function scheduleFrame(owner, task) {
+  pendingTasks.set(owner, task)
+
+  if (frameId === null && !isFlushing) {
+    frameId = requestFrame(flushTasks)
+  }
+}
+
+/**
+ * 取消对象在下一帧等待执行的任务
+ * @param {Object} owner - 任务所属的对象
+ */
+export function cancelFrame(owner) {
+  pendingTasks.delete(owner)
+
+  if (!pendingTasks.size && frameId !== null) {
+    cancelFrameRequest(frameId)
+    frameId = null
+  }
+}
+
+/**
+ * 创建尺寸变化的处理函数，按调度方式合并多次变化，最终在共享的下一帧中刷新
+ * @param {Object} owner - 刷新所属的对象
+ * @param {Function} callback - 刷新回调，参数为最后一次变化的原因
+ * @param {string} [strategy='raf'] - 调度方式，参见 RESIZE_STRATEGIES
+ * @param {number} [delay=100] - debounce 和 throttle 的间隔（毫秒）
+ * @returns {Function} 处理函数，参数为变化的原因
+ */
+export function createResizeScheduler(owner, callback, strategy, delay = DEFAULT_RESIZE_DELAY) {
+  const schedule = (reason) => scheduleFrame(owner, () => callback(reason))
+
+  switch (validateResizeStrategy(strategy)) {
+    case RESIZE_STRATEGIES.DEBOUNCE:
+      return debounce(schedule, delay)
+    case RESIZE_STRATEGIES.THROTTLE:
+      return throttle(schedule, delay)
+    default:
+      return schedule
+  }
+}
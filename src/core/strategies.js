@@ -0,0 +1,269 @@
+import { saveAttributes, restoreAttributes } from '../utils/helpers'
+
+/**
+ * 缩放策略管理
+ */
+
+export const STRATEGIES = {
+  TRANSFORM: 'transform', // 使用 transform: scale() 缩放
+  ZOOM: 'zoom', // 使用 CSS zoom 缩放，不支持时回退到 transform
+  REFLOW: 'reflow', // 直接设置缩放后的宽高，由内容自行重新布局，适用于老旧的嵌入式浏览器
+  REM: 'rem', // 设置根元素的 font-size，内容使用 rem 布局
+}
+
+/**
+ * rem 策略默认的设计基准：1rem 对应的设计稿像素
+ */
+export const DEFAULT_REM_BASE = 100
+
+/**
+ * 当前使用 rem 策略的实例，同一时间只允许一个
+ */
+let remOwner = null
+
+/**
+ * 使用 rem 策略前根元素的内联 font-size
+ */
+let originalRootFontSize = ''
+
+/**
+ * 申请使用 rem 策略
+ * @param {Object} owner - 申请的实例
+ * @returns {boolean} 是否申请成功，已被其他实例占用时返回false
+ */
+export function acquireRemStrategy(owner) {
+  if (remOwner && remOwner !== owner) return false
+
+  if (!remOwner) {
+    remOwner = owner
+    originalRootFontSize = document.documentElement.style.fontSize
+  }
+  return true
+}
+
+/**
+ * 释放 rem 策略，恢复根元素原来的 font-size
+ * @param {Object} owner - 申请的实例
+ */
+export function releaseRemStrategy(owner) {
+  if (!remOwner || remOwner !== owner) return
+
+  document.documentElement.style.fontSize = originalRootFontSize
+  remOwner = null
+  originalRootFontSize = ''
+}
+
+/**
+ * 检测浏览器是否支持 CSS zoom
+ * @returns {boolean} 是否支持
+ */
+export function isZoomSupported() {
+  return typeof document !== 'undefined' && 'zoom' in document.documentElement.style
+}
+
+/**
+ * 获取实际使用的缩放策略
+ * @param {string} strategy - 缩放策略
+ * @returns {string} 有效的缩放策略
+ */
+export function resolveStrategy(strategy) {
+  const normalizedStrategy = typeof strategy === 'string' ? strategy.toLowerCase() : ''
+
+  if (normalizedStrategy === STRATEGIES.ZOOM) {
+    return isZoomSupported() ? STRATEGIES.ZOOM : STRATEGIES.TRANSFORM
+  }
+
+  if (normalizedStrategy === STRATEGIES.REFLOW || normalizedStrategy === STRATEGIES.REM) {
+    return normalizedStrategy
+  }
+
+  return STRATEGIES.TRANSFORM // 默认使用 transform
+}
+
+/**
+ * 获取内容的设计尺寸
+ * @param {HTMLElement} content - 内容元素
+ * @param {Object} options - 配置选项，designSize 由 Scaler 传入
+ * @returns {Object} 设计尺寸 {width, height}
+ */
+export function getDesignSize(content, options) {
+  return (
+    options.designSize || {
+      width: content.offsetWidth,
+      height: content.offsetHeight,
+    }
+  )
+}
+
+/**
+ * 按缩放策略缩放内容元素，缩放原点为左上角
+ * @param {HTMLElement} content - 内容元素
+ * @param {number} scaleX - 水平方向缩放比例
+ * @param {number} scaleY - 垂直方向缩放比例
+ * @param {Object} options - 配置选项
+ */
+export function applyStrategyScale(content, scaleX, scaleY, options) {
+  const { width, height } = getDesignSize(content, options)
+  const isUniform = scaleX === scaleY
+  let strategy = resolveStrategy(options.strategy)
+
+  // zoom 和 rem 不支持非等比缩放
+  if ((strategy === STRATEGIES.ZOOM || strategy === STRATEGIES.REM) && !isUniform) {
+    strategy = STRATEGIES.TRANSFORM
+  }
+
+  // 清除其他策略留下的样式
+  content.style.zoom = ''
+
+  if (strategy === STRATEGIES.REFLOW) {
+    content.style.transform = 'none'
+    content.style.width = `${width * scaleX}px`
+    content.style.height = `${height * scaleY}px`
+    return
+  }
+
+  // rem 策略通过根元素的 font-size 缩放，内容尺寸也使用 rem
+  if (strategy === STRATEGIES.REM) {
+    const { remBase = DEFAULT_REM_BASE } = options
+    document.documentElement.style.fontSize = `${remBase * scaleX}px`
+    content.style.transform = 'none'
+    content.style.width = `${width / remBase}rem`
+    content.style.height = `${height / remBase}rem`
+    return
+  }
+
+  content.style.width = `${width}px`
+  content.style.height = `${height}px`
+
+  if (strategy === STRATEGIES.ZOOM) {
+    content.style.transform = 'none'
+    content.style.zoom = `${scaleX}`
+    return
+  }
+
+  content.style.transformOrigin = 'top left'
+  content.style.transform = isUniform ? `scale(${scaleX})` : `scaleX(${scaleX}) scaleY(${scaleY})`
+}
+
+/**
+ * 按缩放策略设置内容元素在容器中的位置
+ * @param {HTMLElement} content - 内容元素
+ * @param {number} left - 距容器左侧的距离（像素）
+ * @param {number} top - 距容器顶部的距离（像素）
+ */
+export function applyStrategyPosition(content, left, top) {
+  // zoom 会同时缩放元素自身的 left/top，需要换算
+  const zoom = parseFloat(content.style.zoom)
+  const ratio = zoom > 0 ? zoom : 1
+
+  content.style.left = `${left / ratio}px`
+  content.style.top = `${top / ratio}px`
+}
+
+/**
+ * 读取内容元素在容器中的位置
+ * @param {HTMLElement} content - 内容元素
+ * @returns {Object} 位置 {x, y}（像素）
+ */
+export function readStrategyPosition(content) {
+  const zoom = parseFloat(content.style.zoom)
+  const ratio = zoom > 0 ? zoom : 1
+
+  return {
+    x: (parseFloat(content.style.left) || 0) * ratio,
+    y: (parseFloat(content.style.top) || 0) * ratio,
+  }
+}
+
+/**
+ * 标记不参与缩放的元素的属性，属性值为反向缩放的锚点（transform-origin），默认为左上角
+ */
+export const UNSCALED_ATTRIBUTE = 'data-fitscreen-no-scale'
+
+/**
+ * 反向缩放使用的内联样式属性
+ */
+const COUNTER_SCALE_PROPERTIES = ['transform', 'transformOrigin', 'zoom']
+
+/**
+ * 读取元素反向缩放相关的内联样式
+ * @param {HTMLElement} element - 元素
+ * @returns {Object} 内联样式
+ * @private
+ */
+function readCounterScale(element) {
+  return COUNTER_SCALE_PROPERTIES.reduce((styles, name) => {
+    styles[name] = element.style[name]
+    return styles
+  }, {})
+}
+
+/**
+ * 保存元素反向缩放前的样式
+ * @param {HTMLElement} element - 元素
+ * @returns {Object} 反向缩放状态，base 为元素自身的样式，applied 为反向缩放设置的样式，
+ *   attributes 和 cssText 为反向缩放前的 style 属性
+ */
+export function saveCounterScale(element) {
+  return {
+    base: readCounterScale(element),
+    applied: null,
+    attributes: saveAttributes(element, ['style']),
+    cssText: element.style.cssText,
+  }
+}
+
+/**
+ * 移除反向缩放设置的样式，恢复元素自身的样式
+ * 应用在两次刷新之间修改过的属性（如提示框通过 transform 定位）保留应用设置的值
+ * @param {HTMLElement} element - 元素
+ * @param {Object} state - saveCounterScale 返回的反向缩放状态
+ */
+export function restoreCounterScale(element, state) {
+  const { base, applied } = state
+  if (!applied) return
+
+  COUNTER_SCALE_PROPERTIES.forEach((name) => {
+    if (element.style[name] === applied[name]) {
+      element.style[name] = base[name]
+    }
+  })
+  state.applied = null
+
+  // 样式与反向缩放前一致时恢复原来的 style 属性，原本没有 style 属性的元素移除该属性
+  if (element.style.cssText === state.cssText) {
+    restoreAttributes(element, state.attributes)
+  }
+}
+
+/**
+ * 反向缩放元素，使其在屏幕上保持原始尺寸
+ * @param {HTMLElement} element - 元素
+ * @param {number} scaleX - 内容水平方向缩放比例
+ * @param {number} scaleY - 内容垂直方向缩放比例
+ * @param {string} strategy - 内容使用的缩放策略
+ * @param {Object} state - saveCounterScale 返回的反向缩放状态
+ */
+export function applyCounterScale(element, scaleX, scaleY, strategy, state) {
+  // 只移除上次添加的反向缩放，元素当前的样式作为新的基础样式
+  restoreCounterScale(element, state)
+  state.base = readCounterScale(element)
+
+  // reflow 策略按缩放后的尺寸重新布局，没有可以抵消的整体缩放
+  // rem 策略通过根元素的 font-size 缩放 rem 尺寸，按下面的 transform 反向缩放即可抵消，
+  // 因此不参与缩放的元素需要使用 rem 尺寸，px 尺寸的元素会被放大
+  if (!scaleX || !scaleY || strategy === STRATEGIES.REFLOW) {
+    return
+  }
+
+  if (strategy === STRATEGIES.ZOOM && scaleX === scaleY) {
+    element.style.zoom = `${1 / scaleX}`
+  } else {
+    // 以锚点为原点反向缩放，保持锚点位置不变
+    element.style.transformOrigin = element.getAttribute(UNSCALED_ATTRIBUTE) || 'top left'
+    element.style.transform = `${state.base.transform} scale(${1 / scaleX}, ${1 / scaleY})`.trim()
+  }
+
+  // 记录浏览器规范化后的值，用于判断应用是否修改过这些属性
+  state.applied = readCounterScale(element)
+}
@@ -0,0 +1,125 @@
+/**
+ * 拼接屏分块：多台浏览器各自显示同一设计稿的一块
+ */
+
+/**
+ * 分块配置对应的URL参数名称
+ */
+export const TILE_PARAMS = {
+  cols: 'tileCols',
+  rows: 'tileRows',
+  col: 'tileCol',
+  row: 'tileRow',
+}
+
+/**
+ * 从URL参数中读取分块配置
+ * @param {string} [search=window.location.search] - URL查询字符串
+ * @returns {Object} URL中出现的分块配置项，如 {col: 1, row: 0}
+ */
+export function readTileParams(search = window.location.search) {
+  const params = new URLSearchParams(search)
+
+  return Object.keys(TILE_PARAMS).reduce((tile, key) => {
+    const value = params.get(TILE_PARAMS[key])
+    if (value !== null && value !== '') {
+      tile[key] = Number(value)
+    }
+    return tile
+  }, {})
+}
+
+/**
+ * 规范化分块配置，URL参数优先于配置中的值，方便同一页面部署到拼接屏的每台浏览器
+ * @param {Object|boolean} tile - 分块配置 {cols, rows, col, row}，col / row 从0开始；
+ *   为true时完全从URL参数读取
+ * @param {string} [search=window.location.search] - URL查询字符串
+ * @returns {Object|null} 分块配置，未启用或配置无效时返回null
+ */
+export function normalizeTile(tile, search = window.location.search) {
+  if (!tile) return null
+
+  const merged = { ...(typeof tile === 'object' ? tile : {}), ...readTileParams(search) }
+  const { cols = 1, rows = 1, col = 0, row = 0 } = merged
+
+  const isValid =
+    Number.isInteger(cols) &&
+    Number.isInteger(rows) &&
+    Number.isInteger(col) &&
+    Number.isInteger(row) &&
+    cols > 0 &&
+    rows > 0 &&
+    col >= 0 &&
+    col < cols &&
+    row >= 0 &&
+    row < rows
+
+  if (!isValid) {
+    console.error('[FitScreenJS] 无效的分块配置:', { cols, rows, col, row })
+    return null
+  }
+
+  return { cols, rows, col, row }
+}
+
+/**
+ * 未设置 dpi 时使用的每英寸像素数
+ */
+export const DEFAULT_DPI = 96
+
+/**
+ * 将边框宽度解析为像素
+ * @param {number|string} value - 像素数值，或 "6mm"、"6px" 形式的字符串
+ * @param {number} dpi - 每英寸的像素数，用于毫米换算
+ * @returns {number} 像素值，无效时为0
+ */
+function resolveBezelLength(value, dpi) {
+  if (typeof value === 'number') return value > 0 ? value : 0
+  if (!value || typeof value !== 'string') return 0
+
+  const match = value.trim().match(/^(\d*\.?\d+)(px|mm)?$/)
+  if (!match) {
+    console.error('[FitScreenJS] 无效的边框宽度:', value)
+    return 0
+  }
+
+  const length = parseFloat(match[1])
+  return match[2] === 'mm' ? (length / 25.4) * dpi : length
+}
+
+/**
+ * 解析拼接屏相邻屏幕之间的边框宽度
+ * @param {Object} bezel - 边框配置 {horizontal, vertical, dpi}，
+ *   horizontal 为左右相邻屏幕之间的宽度，vertical 为上下相邻屏幕之间的高度，
+ *   每项为像素或毫米（如 "6mm"），毫米按 dpi（默认96）换算
+ * @returns {Object} 像素宽度 {horizontal, vertical}
+ */
+export function resolveBezel(bezel) {
+  if (!bezel || typeof bezel !== 'object') return { horizontal: 0, vertical: 0 }
+
+  const dpi = bezel.dpi > 0 ? bezel.dpi : DEFAULT_DPI
+  return {
+    horizontal: resolveBezelLength(bezel.horizontal, dpi),
+    vertical: resolveBezelLength(bezel.vertical, dpi),
+  }
+}
+
+/**
+ * 计算分块在设计稿中的矩形
+ * 有边框时，设计稿按屏幕排布铺在整面拼接屏上，边框后面的部分不显示，使跨屏的线条保持连续
+ * @param {Object} tile - 规范化后的分块配置
+ * @param {Object} designSize - 设计尺寸 {width, height}
+ * @param {Object} [gap] - 边框宽度相对分块尺寸的比例 {x, y}
+ * @returns {Object} 设计稿中的矩形 {x, y, width, height}
+ */
+export function getTileRect(tile, designSize, gap = { x: 0, y: 0 }) {
+  const width = designSize.width / (tile.cols + (tile.cols - 1) * gap.x)
+  const height = designSize.height / (tile.rows + (tile.rows - 1) * gap.y)
+
+  return {
+    x: width * (1 + gap.x) * tile.col,
+    y: height * (1 + gap.y) * tile.row,
+    width,
+    height,
+  }
+}
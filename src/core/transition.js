@@ -0,0 +1,140 @@
+import { STRATEGIES } from './strategies'
+
+/**
+ * 默认的过渡动画配置
+ */
+export const DEFAULT_TRANSITION = {
+  DURATION: 300, // 时长（毫秒）
+  EASING: 'ease', // 缓动函数
+}
+
+/**
+ * 随缩放变化的样式，覆盖所有缩放策略
+ */
+const TRANSITION_PROPERTIES = ['transform', 'left', 'top', 'width', 'height', 'zoom']
+
+/**
+ * 检测用户是否开启了减少动态效果
+ * @returns {boolean} 是否减少动态效果
+ */
+export function prefersReducedMotion() {
+  return (
+    typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches
+  )
+}
+
+/**
+ * 过渡动画：缩放比例或偏移变化时，内容以CSS过渡动画到新的状态
+ */
+export class Transition {
+  /**
+   * 创建过渡动画
+   * @param {Object|boolean} options - 过渡配置，为true时使用默认配置
+   * @param {number} [options.duration=300] - 时长（毫秒）
+   * @param {string} [options.easing='ease'] - CSS缓动函数
+   * @param {Function} [onEnd] - 过渡结束后的回调，参数为 {scale, scaleX, scaleY}
+   */
+  constructor(options = {}, onEnd = null) {
+    const { duration = DEFAULT_TRANSITION.DURATION, easing = DEFAULT_TRANSITION.EASING } =
+      typeof options === 'object' && options ? options : {}
+
+    this.duration = duration
+    this.easing = easing
+    this.onEnd = onEnd
+    this.content = null
+    this.state = null // 最近一次缩放后的状态
+    this.isRunning = false
+
+    this.handleTransitionEnd = this.handleTransitionEnd.bind(this)
+  }
+
+  /**
+   * 挂载到内容元素
+   * @param {HTMLElement} content - 内容元素
+   */
+  mount(content) {
+    this.content = content
+    content.addEventListener('transitionend', this.handleTransitionEnd)
+  }
+
+  /**
+   * 更新过渡动画，在每次缩放后调用
+   * @param {Scaler} scaler - 缩放器实例
+   */
+  update(scaler) {
+    if (!this.content) return
+
+    const offset = scaler.getOffset()
+    const state = {
+      scale: scaler.currentScale,
+      scaleX: scaler.currentScaleX,
+      scaleY: scaler.currentScaleY,
+      x: offset.x,
+      y: offset.y,
+    }
+    const previous = this.state
+    this.state = state
+
+    // 首次缩放直接显示，之后的变化才使用过渡
+    if (!previous) return
+
+    const isChanged = Object.keys(state).some((key) => state[key] !== previous[key])
+
+    // rem 策略的缩放由根元素的 font-size 决定，无法随内容元素过渡，因此不使用过渡动画
+    if (this.duration <= 0 || prefersReducedMotion() || scaler.getStrategy() === STRATEGIES.REM) {
+      this.content.style.transition = ''
+      this.isRunning = false
+
+      // 没有过渡动画时立即结束
+      if (isChanged) {
+        this.end()
+      }
+      return
+    }
+
+    this.content.style.transition = TRANSITION_PROPERTIES.map(
+      (name) => `${name} ${this.duration}ms ${this.easing}`
+    ).join(', ')
+
+    if (isChanged) {
+      this.isRunning = true
+    }
+  }
+
+  /**
+   * 处理内容元素的 transitionend 事件，多个样式同时结束时只回调一次
+   * @param {TransitionEvent} event - 事件对象
+   * @private
+   */
+  handleTransitionEnd(event) {
+    if (event.target !== this.content || !this.isRunning) return
+
+    this.isRunning = false
+    this.end()
+  }
+
+  /**
+   * 以最近一次缩放后的状态触发过渡结束回调
+   * @private
+   */
+  end() {
+    if (typeof this.onEnd === 'function') {
+      const { scale, scaleX, scaleY } = this.state
+      this.onEnd({ scale, scaleX, scaleY })
+    }
+  }
+
+  /**
+   * 移除过渡动画
+   */
+  destroy() {
+    if (this.content) {
+      this.content.removeEventListener('transitionend', this.handleTransitionEnd)
+      this.content.style.transition = ''
+    }
+    this.content = null
+    this.state = null
+    this.isRunning = false
+  }
+}
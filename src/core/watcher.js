@@ -0,0 +1,170 @@
+/**
+ * 触发刷新的尺寸变化来源
+ */
+export const OBSERVE_TARGETS = {
+  CONTAINER: 'container', // 容器尺寸变化（ResizeObserver，不支持时回退到窗口）
+  WINDOW: 'window', // 窗口 resize 事件
+  BOTH: 'both', // 容器和窗口
+  MANUAL: 'manual', // 不自动刷新，由调用方手动调用 refresh()
+}
+
+/**
+ * 刷新的原因，随尺寸变化回调传出
+ */
+export const RESIZE_REASONS = {
+  CONTAINER: 'container', // 容器尺寸变化
+  WINDOW: 'window', // 窗口 resize 事件
+  ORIENTATION: 'orientation', // 设备方向变化
+  VIEWPORT: 'viewport', // 可视区域变化，如弹出屏幕键盘
+  DPR: 'dpr', // devicePixelRatio 变化，如将窗口移动到另一台显示器
+  FULLSCREEN: 'fullscreen', // 进入或退出浏览器全屏
+  REFRESH: 'refresh', // 手动刷新或配置变化
+}
+
+/**
+ * 检测浏览器是否支持 ResizeObserver
+ * @returns {boolean} 是否支持
+ */
+export function isResizeObserverSupported() {
+  return typeof window !== 'undefined' && typeof window.ResizeObserver === 'function'
+}
+
+/**
+ * 验证尺寸变化来源是否有效
+ * @param {string} observe - 尺寸变化来源
+ * @returns {string} 有效的尺寸变化来源，默认为容器
+ */
+export function validateObserve(observe) {
+  const normalizedObserve = typeof observe === 'string' ? observe.toLowerCase() : ''
+  return Object.values(OBSERVE_TARGETS).includes(normalizedObserve)
+    ? normalizedObserve
+    : OBSERVE_TARGETS.CONTAINER
+}
+
+/**
+ * 监听媒体查询变化，兼容只支持 addListener 的旧浏览器
+ * @param {MediaQueryList} query - 媒体查询
+ * @param {Function} listener - 回调
+ * @returns {Function} 取消监听的函数
+ */
+function listenMediaQuery(query, listener) {
+  if (typeof query.addEventListener === 'function') {
+    query.addEventListener('change', listener)
+    return () => query.removeEventListener('change', listener)
+  }
+
+  query.addListener(listener)
+  return () => query.removeListener(listener)
+}
+
+/**
+ * 尺寸变化监听器：按配置监听容器和窗口的尺寸变化，
+ * 以及设备方向、可视区域和 devicePixelRatio 的变化
+ */
+export class ResizeWatcher {
+  /**
+   * 创建尺寸变化监听器
+   * @param {Function} callback - 尺寸变化时的回调，参数为刷新的原因，参见 RESIZE_REASONS
+   */
+  constructor(callback) {
+    this.callback = callback
+    this.container = null
+    this.observer = null
+    this.isWindowWatched = false
+    this.isEnvironmentWatched = false
+    this.stopDprQuery = null
+    this.handleContainerResize = () => this.callback(RESIZE_REASONS.CONTAINER)
+    this.handleResize = () => this.callback(RESIZE_REASONS.WINDOW)
+    this.handleOrientationChange = () => this.callback(RESIZE_REASONS.ORIENTATION)
+    this.handleViewportResize = () => this.callback(RESIZE_REASONS.VIEWPORT)
+    this.handleDprChange = () => {
+      // 每个媒体查询只对应一个 devicePixelRatio，变化后需要重新创建
+      this.watchDpr()
+      this.callback(RESIZE_REASONS.DPR)
+    }
+  }
+
+  /**
+   * 开始监听，已在监听时会先停止之前的监听
+   * @param {HTMLElement} container - 容器元素
+   * @param {string} observe - 尺寸变化来源，参见 OBSERVE_TARGETS
+   */
+  watch(container, observe) {
+    this.unwatch()
+    this.container = container
+
+    const target = validateObserve(observe)
+    if (target === OBSERVE_TARGETS.MANUAL) return
+
+    let watchWindow = target === OBSERVE_TARGETS.WINDOW || target === OBSERVE_TARGETS.BOTH
+
+    if (target === OBSERVE_TARGETS.CONTAINER || target === OBSERVE_TARGETS.BOTH) {
+      if (container && isResizeObserverSupported()) {
+        this.observer = new window.ResizeObserver(this.handleContainerResize)
+        this.observer.observe(container)
+      } else {
+        // 不支持 ResizeObserver 时回退到窗口 resize 事件
+        watchWindow = true
+      }
+    }
+
+    if (watchWindow) {
+      window.addEventListener('resize', this.handleResize)
+      this.isWindowWatched = true
+    }
+
+    // 设备方向、可视区域和 devicePixelRatio 的变化不一定触发 resize 事件
+    window.addEventListener('orientationchange', this.handleOrientationChange)
+    if (window.visualViewport) {
+      window.visualViewport.addEventListener('resize', this.handleViewportResize)
+    }
+    this.isEnvironmentWatched = true
+    this.watchDpr()
+  }
+
+  /**
+   * 监听当前 devicePixelRatio 对应的媒体查询
+   * @private
+   */
+  watchDpr() {
+    if (this.stopDprQuery) {
+      this.stopDprQuery()
+      this.stopDprQuery = null
+    }
+
+    if (typeof window.matchMedia !== 'function') return
+
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+    this.stopDprQuery = listenMediaQuery(query, this.handleDprChange)
+  }
+
+  /**
+   * 停止监听
+   */
+  unwatch() {
+    if (this.observer) {
+      this.observer.disconnect()
+      this.observer = null
+    }
+
+    if (this.isWindowWatched) {
+      window.removeEventListener('resize', this.handleResize)
+      this.isWindowWatched = false
+    }
+
+    if (this.isEnvironmentWatched) {
+      window.removeEventListener('orientationchange', this.handleOrientationChange)
+      if (window.visualViewport) {
+        window.visualViewport.removeEventListener('resize', this.handleViewportResize)
+      }
+      this.isEnvironmentWatched = false
+    }
+
+    if (this.stopDprQuery) {
+      this.stopDprQuery()
+      this.stopDprQuery = null
+    }
+
+    this.container = null
+  }
+}
@@ -1,7 +1,40 @@
-import { getElement, parseAspectRatio, debounce } from './utils/helpers'
+import {
+  getElement,
+  parseAspectRatio,
+  saveAttributes,
+  restoreAttributes,
+  unwrapElement,
+} from './utils/helpers'
 import { Scaler } from './core/scaler'
-import { validateMode, MODES } from './core/modes'
+import { validateMode, registerMode, MODES } from './core/modes'
 import { determineDesignSize } from './core/detector'
+import { Letterbox } from './core/letterbox'
+import { STRATEGIES } from './core/strategies'
+import { PointerEnhancer } from './core/pointer'
+import { Portal, COMMON_POPUP_SELECTORS } from './core/portal'
+import { ScaleGroup, SYNC_TYPES } from './core/group'
+import { ResizeWatcher, OBSERVE_TARGETS, RESIZE_REASONS } from './core/watcher'
+import {
+  isFullscreenSupported,
+  getFullscreenElement,
+  requestFullscreen,
+  exitFullscreen,
+  listenFullscreenChange,
+} from './core/fullscreen'
+import { EventEmitter, EVENTS } from './core/emitter'
+import { normalizeTile, TILE_PARAMS } from './core/tile'
+import { Transition } from './core/transition'
+import { createResizeScheduler, cancelFrame, RESIZE_STRATEGIES } from './core/scheduler'
+
+/**
+ * 内容元素上会被修改的属性
+ */
+const CONTENT_ATTRIBUTES = ['style', 'data-original-width', 'data-original-height']
+
+/**
+ * 区域布局不支持的配置：这些功能需要一个承载整个设计稿的内容元素
+ */
+const REGION_UNSUPPORTED_OPTIONS = ['letterbox', 'transition', 'portal']
 
 /**
  * FitScreenJS - 大屏自适应缩放解决方案
@@ -15,12 +48,32 @@ class FitScreenJS {
     // 规范化配置选项
     this.options = this._normalizeOptions(options)
 
+    // 事件管理器，配置中的 onBeforeResize 等回调作为对应事件的监听
+    this.events = new EventEmitter()
+    this.events.on(EVENTS.BEFORE_RESIZE, this.options.onBeforeResize)
+    this.events.on(EVENTS.SCALE_CHANGE, this.options.onScaleChange)
+    this.events.on(EVENTS.DESIGN_SIZE_CHANGE, this.options.onDesignSizeChange)
+    this.events.on(EVENTS.DESIGN_CHANGE, this.options.onDesignChange)
+    this.events.on(EVENTS.TRANSITION_END, this.options.onTransitionEnd)
+    this.events.on(EVENTS.DESTROY, this.options.onDestroy)
+
     // 创建缩放器实例
     this.scaler = new Scaler({
       ...this.options,
       mode: validateMode(this.options.mode),
+      ...this._createScalerCallbacks(),
     })
 
+    // 所在的缩放组
+    this.group = null
+
+    // 进入浏览器全屏前的显示模式
+    this._modeBeforeFullscreen = null
+
+    // 修改前的DOM状态，销毁时恢复
+    this._savedAttributes = new Map()
+    this._createdContent = null
+
     // 状态标志
     this.isInitialized = false
     this.isDestroyed = false
@@ -46,15 +99,101 @@ class FitScreenJS {
       normalizedOptions.aspectRatio = parseAspectRatio(options.aspectRatio)
     }
 
+    // 处理拼接屏分块，合并URL参数中的分块配置
+    if (options.tile) {
+      normalizedOptions.tile = normalizeTile(options.tile)
+    }
+
     return normalizedOptions
   }
 
+  /**
+   * 创建缩放器的回调，将缩放器的状态变化转换为事件
+   * @returns {Object} 缩放器的回调
+   * @private
+   */
+  _createScalerCallbacks() {
+    const { onResize, onModeChange } = this.options
+
+    return {
+      onBeforeResize: (info) => {
+        const event = this.events.emit(EVENTS.BEFORE_RESIZE, info)
+
+        // 监听器可以修改缩放比例
+        info.scale = event.scale
+        info.scaleX = event.scaleX
+        info.scaleY = event.scaleY
+        return !event.defaultPrevented
+      },
+      onResize: (width, height, scale, axisScale, scaleInfo) => {
+        if (typeof onResize === 'function') {
+          onResize(width, height, scale, axisScale, scaleInfo)
+        }
+
+        this.events.emit(EVENTS.RESIZE, {
+          width,
+          height,
+          scale,
+          scaleX: axisScale ? axisScale.x : scale,
+          scaleY: axisScale ? axisScale.y : scale,
+          raw: scaleInfo.raw,
+          clamped: scaleInfo.clamped,
+          reason: scaleInfo.reason,
+        })
+      },
+      onScaleChange: (info) => this.events.emit(EVENTS.SCALE_CHANGE, info),
+      onModeChange: (mode) => {
+        if (typeof onModeChange === 'function') {
+          onModeChange(mode)
+        }
+
+        this.events.emit(EVENTS.MODE_CHANGE, { mode })
+      },
+      onDesignSizeChange: (size) => this.events.emit(EVENTS.DESIGN_SIZE_CHANGE, size),
+      onDesignChange: (info) => this.events.emit(EVENTS.DESIGN_CHANGE, info),
+    }
+  }
+
+  /**
+   * 添加事件监听
+   * @param {string} type - 事件名称，参见 EVENTS
+   * @param {Function} listener - 回调，参数为事件对象
+   * @returns {FitScreenJS} 当前实例，支持链式调用
+   */
+  on(type, listener) {
+    this.events.on(type, listener)
+    return this
+  }
+
+  /**
+   * 添加只触发一次的事件监听
+   * @param {string} type - 事件名称，参见 EVENTS
+   * @param {Function} listener - 回调，参数为事件对象
+   * @returns {FitScreenJS} 当前实例，支持链式调用
+   */
+  once(type, listener) {
+    this.events.once(type, listener)
+    return this
+  }
+
+  /**
+   * 移除事件监听
+   * @param {string} [type] - 事件名称，为空时移除所有事件的监听
+   * @param {Function} [listener] - 回调，为空时移除该事件的所有监听
+   * @returns {FitScreenJS} 当前实例，支持链式调用
+   */
+  off(type, listener) {
+    this.events.off(type, listener)
+    return this
+  }
+
   /**
    * 应用到指定容器
    * @param {string|HTMLElement} containerSelector - 容器选择器或DOM元素
+   * @param {Object} [regions] - 区域布局配置，默认使用 options.regions，参见 Scaler#setRegions
    * @returns {FitScreenJS} 当前实例，支持链式调用
    */
-  applyTo(containerSelector) {
+  applyTo(containerSelector, regions = this.options.regions) {
     // 获取容器元素
     const container = getElement(containerSelector)
     if (!container) {
@@ -62,12 +201,41 @@ class FitScreenJS {
       return this
     }
 
+    // 已应用到容器时先分离，恢复之前的容器，再重新检测尺寸
+    if (this.scaler.container) {
+      this.detach()
+    }
+
+    // 保存容器原来的内联样式，销毁时恢复
+    this._saveAttributes(container, ['style'])
+
     // 确保容器有正确的样式
     container.style.width = '100%'
     container.style.height = '100%'
     container.style.overflow = 'hidden'
     container.style.position = 'relative'
 
+    // 区域布局：区域元素直接放置在容器中，不创建内容包装元素
+    if (regions) {
+      const unsupported = REGION_UNSUPPORTED_OPTIONS.filter((name) => this.options[name])
+      if (unsupported.length) {
+        console.error(`[FitScreenJS] 区域布局不支持 ${unsupported.join('、')} 配置，已忽略`)
+      }
+
+      this.options.regions = regions
+      this.scaler.setElements(container, null)
+      this.scaler.setRegions(regions)
+
+      // 坐标转换基于主区域
+      if (this.options.pointerMapping || this.pointerEnhancer) {
+        this.enablePointerMapping()
+      }
+
+      this._bindResize(container)
+      this._bindFullscreen()
+      return this
+    }
+
     // 查找容器内的第一个子元素，如果没有则使用容器本身
     const originalContent = container.children.length > 0 ? container.children[0] : null
 
@@ -99,6 +267,9 @@ class FitScreenJS {
 
       // 添加内容包装到容器
       container.appendChild(content)
+      this._createdContent = content
+    } else {
+      this._saveAttributes(content, CONTENT_ATTRIBUTES)
     }
 
     // 当前是否为全屏模式
@@ -136,22 +307,48 @@ class FitScreenJS {
     // 设置缩放器的元素
     this.scaler.setElements(container, content)
 
+    // 为指针事件附加设计稿坐标，分离前已开启时重新附加到新容器
+    if (this.options.pointerMapping || this.pointerEnhancer) {
+      this.enablePointerMapping()
+    }
+
+    // 创建留白填充层，放在内容元素下方
+    if (this.options.letterbox && !this.letterbox) {
+      this.letterbox = new Letterbox(this.options.letterbox)
+      this.letterbox.mount(container, content)
+      this.scaler.addLayer(this.letterbox)
+    }
+
+    // 缩放变化时以过渡动画切换，需要在弹出层之前更新，弹出层同步过渡样式
+    if (this.options.transition && !this.transition) {
+      this.transition = new Transition(this.options.transition, (info) =>
+        this.events.emit(EVENTS.TRANSITION_END, info)
+      )
+      this.transition.mount(content)
+      this.scaler.addLayer(this.transition)
+    }
+
+    // 分离前已创建弹出层容器时重新挂载到新容器，调用方持有的弹出层容器和弹出层转移保持有效
+    if (this.portal) {
+      this.portal.mount(container, content)
+      this.scaler.addLayer(this.portal)
+    }
+    // 创建弹出层容器，放在内容元素上方
+    else if (this.options.portal) {
+      this.getPortalContainer()
+
+      const { redirect } = this.options.portal
+      if (redirect) {
+        this.redirectPopups(Array.isArray(redirect) ? redirect : undefined)
+      }
+    }
+
     // 确定设计尺寸
     const designSize = determineDesignSize(this.options, container, content)
     this.scaler.setDesignSize(designSize.width, designSize.height)
 
-    // 如果未初始化，设置窗口调整大小监听器
-    if (!this.isInitialized) {
-      // 使用防抖优化窗口调整大小的处理
-      this._resizeHandler = debounce(() => {
-        if (!this.isDestroyed) {
-          this.refresh()
-        }
-      }, 100)
-
-      window.addEventListener('resize', this._resizeHandler)
-      this.isInitialized = true
-    }
+    this._bindResize(container)
+    this._bindFullscreen()
 
     // 初始应用缩放
     this.refresh()
@@ -159,12 +356,176 @@ class FitScreenJS {
     return this
   }
 
+  /**
+   * 保存元素的属性，同一元素只保存第一次的状态
+   * @param {HTMLElement} element - 元素
+   * @param {string[]} names - 属性名称
+   * @private
+   */
+  _saveAttributes(element, names) {
+    if (!this._savedAttributes.has(element)) {
+      this._savedAttributes.set(element, saveAttributes(element, names))
+    }
+  }
+
+  /**
+   * 恢复 applyTo 修改前的DOM：移除创建的内容包装元素，恢复容器和内容元素的属性
+   * @private
+   */
+  _restoreDom() {
+    if (this._createdContent) {
+      unwrapElement(this._createdContent)
+      this._createdContent = null
+    }
+
+    this._savedAttributes.forEach((saved, element) => restoreAttributes(element, saved))
+    this._savedAttributes.clear()
+  }
+
+  /**
+   * 按 options.observe 监听容器或窗口的尺寸变化
+   * @param {HTMLElement} container - 容器元素
+   * @private
+   */
+  _bindResize(container) {
+    if (!this.resizeWatcher) {
+      // 按 resizeStrategy 合并尺寸变化，所有实例在共享的下一帧中刷新，加入缩放组后由缩放组统一刷新
+      this._resizeHandler = createResizeScheduler(
+        this,
+        (reason) => {
+          if (this.isDestroyed) return
+
+          if (this.group) {
+            this.group.scheduleRefresh(reason)
+          } else {
+            this.refresh(reason)
+          }
+        },
+        this.options.resizeStrategy,
+        this.options.resizeDelay
+      )
+
+      this.resizeWatcher = new ResizeWatcher(this._resizeHandler)
+    }
+
+    this.resizeWatcher.watch(container, this.options.observe)
+    this.isInitialized = true
+  }
+
+  /**
+   * 监听浏览器全屏状态变化
+   * @private
+   */
+  _bindFullscreen() {
+    if (this._unlistenFullscreen) return
+
+    this._isFullscreen = this.isFullscreen()
+    this._unlistenFullscreen = listenFullscreenChange(() => this._handleFullscreenChange())
+  }
+
+  /**
+   * 处理浏览器全屏状态变化，按 fullscreenMode 切换和恢复显示模式
+   * @private
+   */
+  _handleFullscreenChange() {
+    const isFullscreen = this.isFullscreen()
+
+    // 忽略其他元素的全屏状态变化
+    if (isFullscreen === this._isFullscreen) return
+    this._isFullscreen = isFullscreen
+
+    const { fullscreenMode, onFullscreenChange } = this.options
+    let isRefreshed = false
+    if (fullscreenMode) {
+      if (isFullscreen) {
+        this._modeBeforeFullscreen = this.getMode()
+        isRefreshed = this._setMode(fullscreenMode, RESIZE_REASONS.FULLSCREEN)
+      } else if (this._modeBeforeFullscreen) {
+        isRefreshed = this._setMode(this._modeBeforeFullscreen, RESIZE_REASONS.FULLSCREEN)
+        this._modeBeforeFullscreen = null
+      }
+    }
+
+    // 切换模式时已按全屏的原因刷新，只刷新一次
+    if (!isRefreshed) {
+      this.refresh(RESIZE_REASONS.FULLSCREEN)
+    }
+
+    if (typeof onFullscreenChange === 'function') {
+      onFullscreenChange(isFullscreen)
+    }
+    this.events.emit(EVENTS.FULLSCREEN_CHANGE, { isFullscreen })
+  }
+
+  /**
+   * 容器进入浏览器全屏
+   * @returns {Promise} 进入全屏后完成，失败时输出错误信息
+   */
+  enterFullscreen() {
+    const container = this.scaler.container
+    if (!container) {
+      console.error('[FitScreenJS] 尚未应用到容器，无法进入全屏')
+      return Promise.resolve()
+    }
+
+    if (!isFullscreenSupported()) {
+      console.error('[FitScreenJS] 当前浏览器不支持全屏API')
+      return Promise.resolve()
+    }
+
+    if (this.isFullscreen()) return Promise.resolve()
+
+    return requestFullscreen(container).catch((error) => {
+      console.error('[FitScreenJS] 进入全屏失败:', error)
+    })
+  }
+
+  /**
+   * 退出浏览器全屏
+   * @returns {Promise} 退出全屏后完成，失败时输出错误信息
+   */
+  exitFullscreen() {
+    if (!this.isFullscreen()) return Promise.resolve()
+
+    return exitFullscreen().catch((error) => {
+      console.error('[FitScreenJS] 退出全屏失败:', error)
+    })
+  }
+
+  /**
+   * 切换浏览器全屏
+   * @returns {Promise} 切换完成后完成
+   */
+  toggleFullscreen() {
+    return this.isFullscreen() ? this.exitFullscreen() : this.enterFullscreen()
+  }
+
+  /**
+   * 容器是否处于浏览器全屏状态
+   * @returns {boolean} 是否全屏
+   */
+  isFullscreen() {
+    return !!this.scaler.container && getFullscreenElement() === this.scaler.container
+  }
+
   /**
    * 设置显示模式
-   * @param {string} mode - 显示模式 'proportional' 或 'fullscreen'
+   * @param {string} mode - 显示模式，参见 MODES，也可以是通过 registerMode 注册的模式
    * @returns {FitScreenJS} 当前实例，支持链式调用
    */
   setMode(mode) {
+    this._setMode(mode)
+    return this
+  }
+
+  /**
+   * 设置显示模式并刷新
+   * @param {string} mode - 显示模式
+   * @param {string} [reason='refresh'] - 刷新的原因，参见 RESIZE_REASONS
+   * @returns {boolean} 是否已经刷新
+   * @private
+   */
+  _setMode(mode, reason = RESIZE_REASONS.REFRESH) {
     const previousMode = this.getMode()
     const validMode = validateMode(mode)
 
@@ -213,10 +574,33 @@ class FitScreenJS {
 
     // 将保留子元素样式的选项传递给scaler
     this.scaler.options.preserveChildStyles = true
-    this.scaler.setMode(validMode)
+    this.scaler.setMode(validMode, reason)
+    this._refreshGroup(reason)
+
+    // 模式变化时缩放器已刷新，在缩放组中由缩放组刷新
+    return !!this.group || (previousMode !== validMode && !!this.scaler.isInitialized)
+  }
+
+  /**
+   * 设置缩放策略
+   * @param {string} strategy - 缩放策略 'transform'、'zoom'、'reflow' 或 'rem'
+   * @returns {FitScreenJS} 当前实例，支持链式调用
+   */
+  setStrategy(strategy) {
+    this.options.strategy = strategy
+    this.scaler.setStrategy(strategy)
+    this._refreshGroup()
     return this
   }
 
+  /**
+   * 获取实际使用的缩放策略（不支持 zoom 时会回退到 transform）
+   * @returns {string} 缩放策略
+   */
+  getStrategy() {
+    return this.scaler.getStrategy()
+  }
+
   /**
    * 获取当前显示模式
    * @returns {string} 当前显示模式
@@ -225,6 +609,15 @@ class FitScreenJS {
     return this.scaler.getMode()
   }
 
+  /**
+   * 获取区域布局中适配区域的缩放器，可用于区域内的坐标转换
+   * @param {string} name - 区域名称
+   * @returns {Scaler|null} 区域的缩放器
+   */
+  getRegion(name) {
+    return this.scaler.getRegion(name)
+  }
+
   /**
    * 获取当前缩放比例
    * @returns {number} 当前缩放比例
@@ -233,6 +626,112 @@ class FitScreenJS {
     return this.scaler.getScale()
   }
 
+  /**
+   * 获取内容在容器中的偏移
+   * @returns {Object} 偏移量 {x, y}（像素）
+   */
+  getOffset() {
+    return this.scaler.getOffset()
+  }
+
+  /**
+   * 获取 minScale / maxScale 限制前的原始缩放比例
+   * @returns {number} 原始缩放比例
+   */
+  getRawScale() {
+    return this.scaler.getRawScale()
+  }
+
+  /**
+   * 将视口坐标（如 event.clientX/clientY）转换为设计稿坐标
+   * @param {number} x - 视口横坐标
+   * @param {number} y - 视口纵坐标
+   * @returns {Object|null} 设计稿坐标 {x, y}
+   */
+  clientToDesign(x, y) {
+    return this.scaler.clientToDesign(x, y)
+  }
+
+  /**
+   * 将设计稿坐标转换为视口坐标
+   * @param {number} x - 设计稿横坐标
+   * @param {number} y - 设计稿纵坐标
+   * @returns {Object|null} 视口坐标 {x, y}
+   */
+  designToClient(x, y) {
+    return this.scaler.designToClient(x, y)
+  }
+
+  /**
+   * 将设计稿中的矩形转换为视口中的矩形
+   * @param {Object} rect - 设计稿矩形 {x, y, width, height}
+   * @returns {Object|null} 视口矩形 {x, y, width, height, left, top, right, bottom}
+   */
+  designRectToClient(rect) {
+    return this.scaler.designRectToClient(rect)
+  }
+
+  /**
+   * 为容器内的指针事件附加 designX / designY（设计稿坐标）
+   * @returns {FitScreenJS} 当前实例，支持链式调用
+   */
+  enablePointerMapping() {
+    if (!this.pointerEnhancer) {
+      this.pointerEnhancer = new PointerEnhancer(this.scaler)
+    }
+    if (this.scaler.container) {
+      this.pointerEnhancer.attach(this.scaler.container)
+    }
+    return this
+  }
+
+  /**
+   * 停止为指针事件附加设计稿坐标
+   * @returns {FitScreenJS} 当前实例，支持链式调用
+   */
+  disablePointerMapping() {
+    if (this.pointerEnhancer) {
+      this.pointerEnhancer.detach()
+      this.pointerEnhancer = null
+    }
+    return this
+  }
+
+  /**
+   * 获取弹出层容器，弹出层与内容共享同一缩放变换，首次调用时创建
+   * 可作为UI库的弹出层挂载点，如 getPopupContainer: () => fitScreen.getPortalContainer()
+   * @returns {HTMLElement|null} 弹出层容器，尚未应用到容器或使用区域布局时返回null
+   */
+  getPortalContainer() {
+    if (!this.scaler.container) return null
+
+    // 区域布局没有承载整个设计稿的内容元素，弹出层无法共享缩放变换
+    if (!this.scaler.content) {
+      console.error('[FitScreenJS] 区域布局不支持弹出层容器')
+      return null
+    }
+
+    if (!this.portal) {
+      this.portal = new Portal()
+      this.portal.mount(this.scaler.container, this.scaler.content)
+      this.portal.update()
+      this.scaler.addLayer(this.portal)
+    }
+    return this.portal.element
+  }
+
+  /**
+   * 将挂载到 body 上的弹出层转移到弹出层容器中，包括之后新挂载的弹出层
+   * @param {string[]} [selectors=COMMON_POPUP_SELECTORS] - 弹出层选择器
+   * @returns {FitScreenJS} 当前实例，支持链式调用
+   */
+  redirectPopups(selectors = COMMON_POPUP_SELECTORS) {
+    if (this.getPortalContainer()) {
+      this.portal.redirect(selectors)
+    }
+    return this
+  }
+
   /**
    * 设置设计尺寸
    * @param {number} width - 设计宽度
@@ -241,32 +740,178 @@ class FitScreenJS {
    */
   setDesignSize(width, height) {
     this.scaler.setDesignSize(width, height)
+    this._refreshGroup()
+    return this
+  }
+
+  /**
+   * 设置拼接屏分块，容器只显示设计稿中该分块的区域，坐标转换仍使用整个设计稿的坐标
+   * @param {Object|boolean|null} tile - 分块配置 {cols, rows, col, row}，col / row 从0开始；
+   *   为true时从URL参数读取，为空时显示整个设计稿
+   * @returns {FitScreenJS} 当前实例，支持链式调用
+   */
+  setTile(tile) {
+    this.options.tile = normalizeTile(tile)
+    this.scaler.setTile(this.options.tile)
+    this._refreshGroup()
+    return this
+  }
+
+  /**
+   * 获取当前使用的设计稿，提供了 designs 时每次刷新按容器宽高比重新选择
+   * @returns {Object|null} 设计稿，未提供 designs 时返回null
+   */
+  getDesign() {
+    return this.scaler.getDesign()
+  }
+
+  /**
+   * 刷新缩放，加入缩放组时刷新整个缩放组
+   * @param {string} [reason='refresh'] - 刷新的原因，参见 RESIZE_REASONS，随尺寸变化回调传出
+   * @returns {FitScreenJS} 当前实例，支持链式调用
+   */
+  refresh(reason) {
+    if (this.group) {
+      this.group.refresh(reason)
+    } else {
+      this.scaler.refresh(reason)
+    }
     return this
   }
 
   /**
-   * 刷新缩放
+   * 加入缩放组时重新同步缩放比例
+   * @param {string} [reason='refresh'] - 刷新的原因，参见 RESIZE_REASONS
+   * @private
+   */
+  _refreshGroup(reason) {
+    if (this.group) {
+      this.group.refresh(reason)
+    }
+  }
+
+  /**
+   * 从当前容器分离：停止缩放和监听，移除留白填充层和弹出层容器，将容器恢复到 applyTo 之前的状态。
+   * 实例不会被销毁，之后可以再次调用 applyTo，弹出层容器和指针事件增强会附加到新容器
    * @returns {FitScreenJS} 当前实例，支持链式调用
    */
-  refresh() {
-    this.scaler.refresh()
+  detach() {
+    if (this.resizeWatcher) {
+      this.resizeWatcher.unwatch()
+    }
+    cancelFrame(this)
+
+    if (this._unlistenFullscreen) {
+      this._unlistenFullscreen()
+      this._unlistenFullscreen = null
+    }
+
+    // 保留指针事件增强，再次 applyTo 时附加到新容器
+    if (this.pointerEnhancer) {
+      this.pointerEnhancer.detach()
+    }
+
+    if (this.letterbox) {
+      this.scaler.removeLayer(this.letterbox)
+      this.letterbox.destroy()
+      this.letterbox = null
+    }
+
+    if (this.transition) {
+      this.scaler.removeLayer(this.transition)
+      this.transition.destroy()
+      this.transition = null
+    }
+
+    // 保留弹出层容器，再次 applyTo 时挂载到新容器
+    if (this.portal) {
+      this.scaler.removeLayer(this.portal)
+      this.portal.detach()
+    }
+
+    this.scaler.detach()
+    this._restoreDom()
     return this
   }
 
   /**
-   * 销毁实例，清理事件监听
+   * 销毁实例，清理事件监听、指针事件增强、留白填充层、弹出层容器和缩放策略占用的资源，
+   * 并将容器恢复到 applyTo 之前的状态
    */
   destroy() {
+    const wasDestroyed = this.isDestroyed
+
+    if (this.group) {
+      this.group.remove(this)
+    }
+
+    this.detach()
+    this.scaler.destroy()
+    this.disablePointerMapping()
+
+    if (this.portal) {
+      this.portal.destroy()
+      this.portal = null
+    }
+
     if (this.isInitialized && !this.isDestroyed) {
-      window.removeEventListener('resize', this._resizeHandler)
       this.isDestroyed = true
     }
+
+    // 触发销毁事件后移除所有监听
+    if (!wasDestroyed) {
+      this.events.emit(EVENTS.DESTROY)
+      this.events.off()
+    }
   }
 }
 
 // 导出模式常量
 FitScreenJS.MODES = MODES
 
+// 导出缩放策略常量
+FitScreenJS.STRATEGIES = STRATEGIES
+
+// 导出常见UI库的弹出层选择器
+FitScreenJS.POPUP_SELECTORS = COMMON_POPUP_SELECTORS
+
+// 导出事件名称常量
+FitScreenJS.EVENTS = EVENTS
+
+// 导出尺寸变化来源常量
+FitScreenJS.OBSERVE_TARGETS = OBSERVE_TARGETS
+
+// 导出刷新原因常量
+FitScreenJS.RESIZE_REASONS = RESIZE_REASONS
+
+// 导出缩放组同步方式常量
+FitScreenJS.SYNC_TYPES = SYNC_TYPES
+
+// 导出尺寸变化的调度方式常量
+FitScreenJS.RESIZE_STRATEGIES = RESIZE_STRATEGIES
+
+// 导出拼接屏分块的URL参数名称
+FitScreenJS.TILE_PARAMS = TILE_PARAMS
+
+/**
+ * 创建缩放组，组内实例使用同一缩放比例并一起刷新
+ * @param {FitScreenJS[]} instances - 组内的实例
+ * @param {Object} [options] - 配置选项
+ * @param {string} [options.sync='min'] - 同步方式 'min'、'max' 或 'first'
+ * @param {Function} [options.onResize] - 缩放组刷新后的回调 (scale, instances, reason)
+ * @returns {ScaleGroup} 缩放组
+ */
+FitScreenJS.group = (instances, options) => {
+  if (!Array.isArray(instances) || !instances.length) {
+    console.error('[FitScreenJS] 缩放组至少需要一个实例')
+    return null
+  }
+  return new ScaleGroup(instances, options)
+}
+
+// 注册自定义模式
+FitScreenJS.registerMode = registerMode
+
 // 导出为默认和命名导出
 export default FitScreenJS
 export { FitScreenJS }
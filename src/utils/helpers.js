@@ -16,6 +16,40 @@ export function parseAspectRatio(ratio) {
   return width / height
 }
 
+/**
+ * 解析对齐方式，如 "center"、"bottom"、"top-right"
+ * @param {string|Object} align - 对齐方式关键字，或 {x, y} 形式的相对位置（0~1）
+ * @returns {Object|null} 相对位置 {x, y}，0为左/上对齐，1为右/下对齐
+ */
+export function parseAlign(align) {
+  if (align && typeof align === 'object') {
+    const x = typeof align.x === 'number' ? align.x : 0.5
+    const y = typeof align.y === 'number' ? align.y : 0.5
+    return {
+      x: Math.min(Math.max(x, 0), 1),
+      y: Math.min(Math.max(y, 0), 1),
+    }
+  }
+
+  if (!align || typeof align !== 'string') return null
+
+  const keywords = {
+    left: { x: 0 },
+    right: { x: 1 },
+    top: { y: 0 },
+    bottom: { y: 1 },
+    center: {},
+  }
+
+  const result = { x: 0.5, y: 0.5 }
+  const parts = align.toLowerCase().split('-')
+  for (const part of parts) {
+    if (!keywords[part]) return null
+    Object.assign(result, keywords[part])
+  }
+  return result
+}
+
 /**
  * 获取DOM元素
  * @param {string|HTMLElement} selector - CSS选择器或DOM元素
@@ -87,6 +121,36 @@ export function debounce(func, wait = 100) {
   }
 }
 
+/**
+ * 节流函数，首次调用立即执行，之后每个间隔内最多执行一次，间隔内的最后一次调用在间隔结束时执行
+ * @param {Function} func - 要执行的函数
+ * @param {number} wait - 间隔时间（毫秒）
+ * @returns {Function} 节流后的函数
+ */
+export function throttle(func, wait = 100) {
+  let timeout = null
+  let lastTime = 0
+  let lastArgs = null
+
+  return function (...args) {
+    const remaining = wait - (Date.now() - lastTime)
+    lastArgs = args
+
+    if (remaining <= 0) {
+      clearTimeout(timeout)
+      timeout = null
+      lastTime = Date.now()
+      func.apply(this, args)
+    } else if (!timeout) {
+      timeout = setTimeout(() => {
+        timeout = null
+        lastTime = Date.now()
+        func.apply(this, lastArgs)
+      }, remaining)
+    }
+  }
+}
+
 /**
  * 检测元素的实际尺寸
  * @param {HTMLElement} element - 要检测的元素
@@ -135,3 +199,164 @@ export function detectElementSize(element) {
     height: Math.max(height, childrenBounds.bottom - parentRect.top),
   }
 }
+
+/**
+ * 将数值限制在指定范围内
+ * @param {number} value - 数值
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number} 限制后的数值
+ */
+export function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max)
+}
+
+/**
+ * 将缩放比例限制在最小和最大缩放比例之间
+ * @param {number} scale - 缩放比例
+ * @param {number} [minScale] - 最小缩放比例，未设置时不限制
+ * @param {number} [maxScale] - 最大缩放比例，未设置时不限制
+ * @returns {number} 限制后的缩放比例
+ */
+export function clampScale(scale, minScale, maxScale) {
+  let result = scale
+  if (typeof minScale === 'number' && minScale > 0) {
+    result = Math.max(result, minScale)
+  }
+  if (typeof maxScale === 'number' && maxScale > 0) {
+    result = Math.min(result, maxScale)
+  }
+  return result
+}
+
+/**
+ * 将CSS长度解析为像素值
+ * @param {number|string} value - 长度，数字或 "10px" 视为像素，"5%" 相对于 base，
+ *   其他CSS长度（如 "env(safe-area-inset-top)"、"calc(...)"）通过探测元素计算
+ * @param {number} base - 百分比的参照长度
+ * @param {HTMLElement} [parent=document.body] - 探测元素的父元素
+ * @returns {number} 像素值
+ */
+export function resolveLength(value, base, parent = document.body) {
+  if (typeof value === 'number') return isNaN(value) ? 0 : value
+  if (!value || typeof value !== 'string') return 0
+
+  const trimmed = value.trim()
+
+  // 百分比
+  if (/^-?\d*\.?\d+%$/.test(trimmed)) {
+    return (base * parseFloat(trimmed)) / 100
+  }
+
+  // 像素
+  if (/^-?\d*\.?\d+(px)?$/.test(trimmed)) {
+    return parseFloat(trimmed)
+  }
+
+  // 其他CSS长度交给浏览器计算
+  const probe = document.createElement('div')
+  probe.style.position = 'absolute'
+  probe.style.visibility = 'hidden'
+  probe.style.width = trimmed
+  parent.appendChild(probe)
+  const width = parseFloat(window.getComputedStyle(probe).width)
+  parent.removeChild(probe)
+
+  return isNaN(width) ? 0 : width
+}
+
+/**
+ * 安全区域对应的内边距
+ */
+const SAFE_AREA_INSETS = {
+  top: 'env(safe-area-inset-top)',
+  right: 'env(safe-area-inset-right)',
+  bottom: 'env(safe-area-inset-bottom)',
+  left: 'env(safe-area-inset-left)',
+}
+
+/**
+ * 解析容器的内边距（被边框、OSD、滚动字幕等遮挡的区域）
+ * @param {Object|string} insets - {top, right, bottom, left}，每项为像素或CSS长度，
+ *   "safe-area" 表示使用 env(safe-area-inset-*)
+ * @param {HTMLElement} container - 容器元素，百分比分别相对于容器的宽度（左右）和高度（上下）
+ * @returns {Object} 像素内边距 {top, right, bottom, left}
+ */
+export function resolveInsets(insets, container) {
+  const result = { top: 0, right: 0, bottom: 0, left: 0 }
+  if (!insets || !container) return result
+
+  const sides = insets === 'safe-area' ? SAFE_AREA_INSETS : insets
+  if (typeof sides !== 'object') return result
+
+  Object.keys(result).forEach((side) => {
+    const value = sides[side] === 'safe-area' ? SAFE_AREA_INSETS[side] : sides[side]
+    const base =
+      side === 'top' || side === 'bottom' ? container.offsetHeight : container.offsetWidth
+    result[side] = Math.max(0, resolveLength(value, base, container))
+  })
+
+  return result
+}
+
+/**
+ * 获取元素相对于祖先元素的偏移（不受transform影响）
+ * @param {HTMLElement} element - 目标元素
+ * @param {HTMLElement} ancestor - 祖先元素
+ * @returns {Object} 偏移量 {left, top}
+ */
+export function getElementOffset(element, ancestor) {
+  let left = 0
+  let top = 0
+  let current = element
+
+  while (current && current !== ancestor) {
+    left += current.offsetLeft
+    top += current.offsetTop
+    current = current.offsetParent
+  }
+
+  return { left, top }
+}
+
+/**
+ * 保存元素的属性
+ * @param {HTMLElement} element - 元素
+ * @param {string[]} [names=['style']] - 属性名称
+ * @returns {Object} 属性名称到原始值的映射，原本不存在的属性为null
+ */
+export function saveAttributes(element, names = ['style']) {
+  return names.reduce((saved, name) => {
+    saved[name] = element.getAttribute(name)
+    return saved
+  }, {})
+}
+
+/**
+ * 恢复元素的属性，原本不存在的属性会被移除
+ * @param {HTMLElement} element - 元素
+ * @param {Object} saved - saveAttributes 返回的原始属性
+ */
+export function restoreAttributes(element, saved) {
+  Object.keys(saved).forEach((name) => {
+    if (saved[name] === null) {
+      element.removeAttribute(name)
+    } else {
+      element.setAttribute(name, saved[name])
+    }
+  })
+}
+
+/**
+ * 移除包装元素，将其子元素放回原来的位置
+ * @param {HTMLElement} wrapper - 包装元素
+ */
+export function unwrapElement(wrapper) {
+  const parent = wrapper.parentNode
+  if (!parent) return
+
+  while (wrapper.firstChild) {
+    parent.insertBefore(wrapper.firstChild, wrapper)
+  }
+  parent.removeChild(wrapper)
+}
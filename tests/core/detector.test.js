@@ -1,5 +1,10 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { DEFAULT_DESIGN, detectScreenSize, determineDesignSize } from '../../src/core/detector'
+import {
+  DEFAULT_DESIGN,
+  detectScreenSize,
+  determineDesignSize,
+  selectDesign,
+} from '../../src/core/detector'
 import * as helpers from '../../src/utils/helpers'
 
 describe('DEFAULT_DESIGN', () => {
@@ -25,6 +30,36 @@ describe('detectScreenSize', () => {
   })
 })
 
+describe('selectDesign', () => {
+  const wide = { width: 1920, height: 1080, minAspect: '16:10', className: 'wide' }
+  const standard = { width: 1600, height: 1200, minAspect: 1, maxAspect: '16:10' }
+  const portrait = { width: 1080, height: 1920, maxAspect: 1 }
+  const designs = [wide, standard, portrait]
+
+  it('应该选择宽高比范围包含当前宽高比的设计稿', () => {
+    expect(selectDesign(designs, 16 / 9)).toBe(wide)
+    expect(selectDesign(designs, 4 / 3)).toBe(standard)
+    expect(selectDesign(designs, 9 / 16)).toBe(portrait)
+  })
+
+  it('应该在多个设计稿匹配时选择宽高比最接近的', () => {
+    const square = { width: 1000, height: 1000 }
+    expect(selectDesign([wide, square], 16 / 9)).toBe(wide)
+    expect(selectDesign([wide, square], 1.1)).toBe(square)
+  })
+
+  it('应该在没有设计稿匹配时选择宽高比最接近的', () => {
+    const ultraWide = { width: 3840, height: 1080, minAspect: 3 }
+    expect(selectDesign([ultraWide, portrait], 2)).toBe(ultraWide)
+    expect(selectDesign([ultraWide, portrait], 0.8)).toBe(portrait)
+  })
+
+  it('应该忽略无效的设计稿', () => {
+    expect(selectDesign([{ width: 0, height: 1080 }], 1)).toBeNull()
+    expect(selectDesign(null, 1)).toBeNull()
+  })
+})
+
 describe('determineDesignSize', () => {
   let container, content
 
@@ -87,6 +122,19 @@ describe('determineDesignSize', () => {
     expect(actualRatio).toBeCloseTo(16 / 9, 1)
   })
 
+  it('应该按容器宽高比从多个设计稿中选择', () => {
+    const standard = { width: 1024, height: 768, maxAspect: 1.5 }
+    const options = {
+      designs: [{ width: 1920, height: 1080, minAspect: 1.5 }, standard],
+      designWidth: 2560,
+      designHeight: 1440,
+    }
+
+    const size = determineDesignSize(options, container, content)
+
+    expect(size).toEqual({ width: 1024, height: 768, design: standard })
+  })
+
   it('应该在自动检测模式下使用内容尺寸', () => {
     const options = {
       autoDetect: true,
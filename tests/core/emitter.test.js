@@ -0,0 +1,90 @@
+import { describe, it, expect, vi } from 'vitest'
+import { EventEmitter, EVENTS } from '../../src/core/emitter'
+
+describe('EventEmitter', () => {
+  it('应该添加和触发事件监听', () => {
+    const emitter = new EventEmitter()
+    const first = vi.fn()
+    const second = vi.fn()
+    emitter.on(EVENTS.RESIZE, first)
+    emitter.on(EVENTS.RESIZE, second)
+
+    const event = emitter.emit(EVENTS.RESIZE, { scale: 0.5 })
+
+    expect(event.type).toBe('resize')
+    expect(event.scale).toBe(0.5)
+    expect(first).toHaveBeenCalledWith(event)
+    expect(second).toHaveBeenCalledWith(event)
+  })
+
+  it('应该忽略无效的回调', () => {
+    const emitter = new EventEmitter()
+    emitter.on(EVENTS.RESIZE, undefined)
+
+    expect(emitter.listeners).toEqual({})
+  })
+
+  it('应该只触发一次 once 添加的监听', () => {
+    const emitter = new EventEmitter()
+    const listener = vi.fn()
+    emitter.once(EVENTS.DESTROY, listener)
+
+    emitter.emit(EVENTS.DESTROY)
+    emitter.emit(EVENTS.DESTROY)
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('应该移除事件监听', () => {
+    const emitter = new EventEmitter()
+    const listener = vi.fn()
+    const onceListener = vi.fn()
+    const other = vi.fn()
+    emitter.on(EVENTS.RESIZE, listener)
+    emitter.once(EVENTS.RESIZE, onceListener)
+    emitter.on(EVENTS.MODE_CHANGE, other)
+
+    emitter.off(EVENTS.RESIZE, listener)
+    emitter.off(EVENTS.RESIZE, onceListener)
+    emitter.emit(EVENTS.RESIZE)
+    expect(listener).not.toHaveBeenCalled()
+    expect(onceListener).not.toHaveBeenCalled()
+
+    emitter.off(EVENTS.MODE_CHANGE)
+    emitter.emit(EVENTS.MODE_CHANGE)
+    expect(other).not.toHaveBeenCalled()
+  })
+
+  it('应该移除所有事件的监听', () => {
+    const emitter = new EventEmitter()
+    emitter.on(EVENTS.RESIZE, vi.fn())
+    emitter.on(EVENTS.DESTROY, vi.fn())
+
+    emitter.off()
+
+    expect(emitter.listeners).toEqual({})
+  })
+
+  it('应该支持取消事件', () => {
+    const emitter = new EventEmitter()
+    emitter.on(EVENTS.BEFORE_RESIZE, (event) => event.preventDefault())
+
+    expect(emitter.emit(EVENTS.BEFORE_RESIZE).defaultPrevented).toBe(true)
+    expect(emitter.emit(EVENTS.RESIZE).defaultPrevented).toBe(false)
+  })
+
+  it('应该在回调出错时继续调用其他监听', () => {
+    console.error = vi.fn()
+    const emitter = new EventEmitter()
+    const listener = vi.fn()
+    emitter.on(EVENTS.RESIZE, () => {
+      throw new Error('error')
+    })
+    emitter.on(EVENTS.RESIZE, listener)
+
+    emitter.emit(EVENTS.RESIZE)
+
+    expect(listener).toHaveBeenCalled()
+    expect(console.error).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  isFullscreenSupported,
+  getFullscreenElement,
+  requestFullscreen,
+  exitFullscreen,
+  listenFullscreenChange,
+} from '../../src/core/fullscreen'
+
+describe('fullscreen', () => {
+  afterEach(() => {
+    delete document.documentElement.requestFullscreen
+    delete document.documentElement.webkitRequestFullscreen
+    delete document.fullscreenElement
+    delete document.webkitFullscreenElement
+    delete document.exitFullscreen
+    delete document.webkitExitFullscreen
+  })
+
+  it('应该检测是否支持全屏API', () => {
+    expect(isFullscreenSupported()).toBe(false)
+
+    document.documentElement.webkitRequestFullscreen = vi.fn()
+    expect(isFullscreenSupported()).toBe(true)
+  })
+
+  it('应该获取带前缀的全屏元素', () => {
+    expect(getFullscreenElement()).toBeNull()
+
+    document.webkitFullscreenElement = document.body
+    expect(getFullscreenElement()).toBe(document.body)
+  })
+
+  it('应该兼容不返回 Promise 的旧实现', async () => {
+    const element = document.createElement('div')
+    element.webkitRequestFullscreen = vi.fn()
+
+    await expect(requestFullscreen(element)).resolves.toBeUndefined()
+    expect(element.webkitRequestFullscreen).toHaveBeenCalled()
+  })
+
+  it('应该在不支持全屏API时拒绝', async () => {
+    await expect(requestFullscreen(document.createElement('div'))).rejects.toThrow()
+  })
+
+  it('应该只在全屏状态下退出全屏', async () => {
+    document.exitFullscreen = vi.fn()
+
+    await exitFullscreen()
+    expect(document.exitFullscreen).not.toHaveBeenCalled()
+
+    document.fullscreenElement = document.body
+    await exitFullscreen()
+    expect(document.exitFullscreen).toHaveBeenCalled()
+  })
+
+  it('应该监听带前缀的全屏状态变化事件', () => {
+    const listener = vi.fn()
+    const unlisten = listenFullscreenChange(listener)
+
+    document.dispatchEvent(new Event('fullscreenchange'))
+    document.dispatchEvent(new Event('webkitfullscreenchange'))
+    expect(listener).toHaveBeenCalledTimes(2)
+
+    unlisten()
+    document.dispatchEvent(new Event('fullscreenchange'))
+    expect(listener).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,245 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { ScaleGroup, SYNC_TYPES, validateSync } from '../../src/core/group'
+import { Scaler } from '../../src/core/scaler'
+import { MODES } from '../../src/core/modes'
+import * as modes from '../../src/core/modes'
+
+describe('ScaleGroup', () => {
+  let instances
+
+  // 创建带有缩放器的模拟实例，容器宽度不同，设计尺寸均为 1600x900
+  const createInstance = (width, options = {}) => {
+    const container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+    document.body.appendChild(container)
+    Object.defineProperty(container, 'offsetWidth', { value: width })
+    Object.defineProperty(container, 'offsetHeight', { value: 900 })
+
+    const scaler = new Scaler(options)
+    scaler.setElements(container, content)
+    scaler.designSize = { width: 1600, height: 900 }
+    return { scaler, group: null }
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = ''
+    window.addEventListener = vi.fn()
+    window.removeEventListener = vi.fn()
+
+    // 模拟各模式应用样式的方法
+    Object.values(MODES).forEach((mode) => {
+      vi.spyOn(modes.getModeDefinition(mode), 'apply').mockImplementation(() => {})
+    })
+
+    // 缩放比例分别为 0.5、0.25 和 1
+    instances = [createInstance(800), createInstance(400), createInstance(1600)]
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('应该验证同步方式', () => {
+    expect(validateSync('MAX')).toBe(SYNC_TYPES.MAX)
+    expect(validateSync('first')).toBe(SYNC_TYPES.FIRST)
+    expect(validateSync('invalid')).toBe(SYNC_TYPES.MIN)
+    expect(validateSync()).toBe(SYNC_TYPES.MIN)
+  })
+
+  it('应该默认使用组内最小的缩放比例', () => {
+    const group = new ScaleGroup(instances)
+
+    expect(group.getScale()).toBe(0.25)
+    instances.forEach((instance) => {
+      expect(instance.group).toBe(group)
+      expect(instance.scaler.getScale()).toBe(0.25)
+    })
+
+    // 原始比例保持各自的计算结果
+    expect(instances[0].scaler.getRawScale()).toBe(0.5)
+  })
+
+  it('应该支持使用最大和第一个实例的缩放比例', () => {
+    expect(new ScaleGroup(instances, { sync: 'max' }).getScale()).toBe(1)
+    expect(new ScaleGroup(instances, { sync: 'first' }).getScale()).toBe(0.5)
+  })
+
+  it('应该在刷新后触发一次缩放组回调', () => {
+    const onResize = vi.fn()
+    const group = new ScaleGroup(instances, { onResize })
+
+    expect(onResize).toHaveBeenCalledTimes(1)
+    expect(onResize).toHaveBeenCalledWith(0.25, instances, 'refresh')
+    // 尺寸变化由组内实例按各自的 observe 监听，缩放组不监听窗口
+    expect(window.addEventListener).not.toHaveBeenCalledWith('resize', expect.any(Function))
+    expect(group.getScale()).toBe(0.25)
+  })
+
+  it('应该在同步的缩放比例大于自身比例时按溢出处理', () => {
+    new ScaleGroup(instances, { sync: 'max' })
+
+    expect(instances[0].scaler.clampState).toBe('min')
+    expect(instances[2].scaler.clampState).toBeNull()
+  })
+
+  it('应该让非等比模式的实例保持各自的拉伸且不参与同步', () => {
+    // 全屏模式在 800x900 的容器中水平缩放 0.5、垂直缩放 1
+    const fullscreen = createInstance(800, { mode: MODES.FULLSCREEN })
+    const group = new ScaleGroup([fullscreen, instances[0], instances[1]])
+
+    expect(group.getScale()).toBe(0.25)
+    expect(instances[0].scaler.getScale()).toBe(0.25)
+    expect(fullscreen.scaler.isUniformScale()).toBe(false)
+    expect(fullscreen.scaler.currentScaleX).toBe(0.5)
+    expect(fullscreen.scaler.currentScaleY).toBe(1)
+    expect(modes.getModeDefinition(MODES.FULLSCREEN).apply).toHaveBeenLastCalledWith(
+      fullscreen.scaler.container,
+      fullscreen.scaler.content,
+      expect.objectContaining({ scaleX: 0.5, scaleY: 1 }),
+      expect.anything()
+    )
+
+    // 同步方式为 first 时跳过非等比的实例
+    expect(
+      new ScaleGroup([fullscreen, instances[2], instances[0]], { sync: 'first' }).getScale()
+    ).toBe(1)
+  })
+
+  it('应该按切换后的设计稿计算同步的缩放比例', () => {
+    const wide = { width: 3840, height: 1080, minAspect: 3 }
+    const standard = { width: 1920, height: 1080, maxAspect: 3 }
+    const size = { width: 1600, height: 1000 }
+    const createArtboardInstance = () => {
+      const container = document.createElement('div')
+      const content = document.createElement('div')
+      container.appendChild(content)
+      Object.defineProperty(container, 'offsetWidth', { get: () => size.width })
+      Object.defineProperty(container, 'offsetHeight', { get: () => size.height })
+
+      const scaler = new Scaler({ designs: [wide, standard] })
+      scaler.setElements(container, content)
+      return { scaler, group: null }
+    }
+    const members = [createArtboardInstance(), createArtboardInstance()]
+    const group = new ScaleGroup(members)
+    expect(members[0].scaler.getDesign()).toBe(standard)
+
+    // 容器变宽后切换到宽设计稿，同步的缩放比例按宽设计稿计算
+    size.width = 3300
+    group.refresh()
+
+    expect(group.getScale()).toBeCloseTo(3300 / 3840)
+    members.forEach(({ scaler }) => {
+      expect(scaler.getDesign()).toBe(wide)
+      expect(scaler.getScale()).toBeCloseTo(3300 / 3840)
+      expect(scaler.clampState).toBeNull()
+    })
+  })
+
+  it('应该让区域布局的实例按主区域参与同步', () => {
+    const container = document.createElement('div')
+    container.innerHTML = '<div class="nav"></div><div class="stage"></div>'
+    document.body.appendChild(container)
+    Object.defineProperty(container, 'offsetWidth', { value: 1280 })
+    Object.defineProperty(container, 'offsetHeight', { value: 900 })
+
+    // 主区域在 960x900 的剩余区域中缩放 0.6
+    const scaler = new Scaler()
+    scaler.setElements(container, null)
+    scaler.setRegions({
+      nav: { selector: '.nav', fixed: true, dock: 'left', size: 320 },
+      stage: { selector: '.stage', width: 1600, height: 900 },
+    })
+    const regionInstance = { scaler, group: null }
+    expect(scaler.getScale()).toBeCloseTo(0.6)
+
+    const group = new ScaleGroup([regionInstance, instances[0]], { sync: 'max' })
+    expect(group.getScale()).toBeCloseTo(0.6)
+    expect(instances[0].scaler.getScale()).toBeCloseTo(0.6)
+
+    const minGroup = new ScaleGroup([regionInstance, instances[0]])
+    expect(minGroup.getScale()).toBe(0.5)
+    expect(scaler.getScale()).toBe(0.5)
+    expect(scaler.getRegion('stage').getScale()).toBe(0.5)
+  })
+
+  it('应该让宽高比与设计稿一致的全屏模式实例同样不参与同步', () => {
+    // 全屏模式在 1600x900 的容器中两个方向都缩放 1
+    const fullscreen = createInstance(1600, { mode: MODES.FULLSCREEN })
+    const group = new ScaleGroup([instances[0], fullscreen])
+
+    expect(group.getScale()).toBe(0.5)
+    expect(fullscreen.scaler.isUniformScale()).toBe(false)
+    expect(fullscreen.scaler.getScale()).toBe(1)
+    expect(fullscreen.scaler.currentScaleX).toBe(1)
+    expect(fullscreen.scaler.currentScaleY).toBe(1)
+    expect(fullscreen.scaler.clampState).toBeNull()
+  })
+
+  it('应该在同步时一并替换各方向的缩放比例', () => {
+    // 自定义模式返回各方向的缩放比例，但仍是等比缩放
+    modes.registerMode('axis-proportional', {
+      calculate: (containerSize, designSize) => {
+        const scale = containerSize.width / designSize.width
+        return { scale, scaleX: scale, scaleY: scale }
+      },
+      apply: () => {},
+    })
+    const axis = createInstance(1600, { mode: 'axis-proportional' })
+    new ScaleGroup([instances[0], axis])
+
+    expect(axis.scaler.getScale()).toBe(0.5)
+    expect(axis.scaler.currentScaleX).toBe(0.5)
+    expect(axis.scaler.currentScaleY).toBe(0.5)
+  })
+
+  it('应该在移出实例后恢复其自身的缩放比例并重新同步', () => {
+    const group = new ScaleGroup(instances)
+    group.remove(instances[1])
+
+    expect(instances[1].group).toBeNull()
+    expect(instances[1].scaler.getScale()).toBe(0.25)
+    expect(group.getScale()).toBe(0.5)
+    expect(instances[0].scaler.getScale()).toBe(0.5)
+  })
+
+  it('应该在加入新的缩放组时移出原来的缩放组', () => {
+    const first = new ScaleGroup(instances.slice(0, 2))
+    const second = new ScaleGroup([instances[1], instances[2]])
+
+    expect(instances[1].group).toBe(second)
+    expect(first.instances).toEqual([instances[0]])
+  })
+
+  it('应该在解散后恢复各实例的缩放比例', () => {
+    const group = new ScaleGroup(instances)
+    group.destroy()
+
+    expect(group.isDestroyed).toBe(true)
+    expect(group.instances).toEqual([])
+    expect(instances.map((instance) => instance.scaler.getScale())).toEqual([0.5, 0.25, 1])
+  })
+
+  it('应该在下一帧合并刷新请求', () => {
+    const frames = []
+    window.requestAnimationFrame = vi.fn().mockImplementation((callback) => {
+      frames.push(callback)
+      return frames.length
+    })
+
+    const onResize = vi.fn()
+    const group = new ScaleGroup(instances, { onResize })
+    onResize.mockClear()
+
+    group.scheduleRefresh('window')
+    group.scheduleRefresh('container')
+    expect(onResize).not.toHaveBeenCalled()
+
+    frames.shift()()
+    expect(onResize).toHaveBeenCalledTimes(1)
+    expect(onResize).toHaveBeenCalledWith(0.25, instances, 'container')
+
+    delete window.requestAnimationFrame
+  })
+})
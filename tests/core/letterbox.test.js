@@ -0,0 +1,221 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { Letterbox, LETTERBOX_TYPES } from '../../src/core/letterbox'
+
+describe('Letterbox', () => {
+  let container, content, scaler
+
+  beforeEach(() => {
+    // 创建测试DOM
+    document.body.innerHTML = `
+      <div id="container">
+        <div class="fitscreen-content" id="content"><span id="title">标题</span></div>
+      </div>
+    `
+    container = document.getElementById('container')
+    content = document.getElementById('content')
+
+    // 模拟元素尺寸：16:9的设计稿显示在21:9的容器中
+    Object.defineProperty(container, 'offsetWidth', { value: 2100 })
+    Object.defineProperty(container, 'offsetHeight', { value: 900 })
+
+    scaler = {
+      container,
+      designSize: { width: 1600, height: 900 },
+    }
+  })
+
+  it('应该在内容元素下方挂载填充层', () => {
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.GRADIENT, gradient: 'none' })
+    letterbox.mount(container, content)
+
+    expect(container.firstElementChild).toBe(letterbox.element)
+    expect(letterbox.element.nextElementSibling).toBe(content)
+    expect(letterbox.element.className).toBe('fitscreen-letterbox')
+    expect(letterbox.element.getAttribute('aria-hidden')).toBe('true')
+    expect(letterbox.element.style.pointerEvents).toBe('none')
+  })
+
+  it('应该支持图片填充', () => {
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.IMAGE, image: 'bg.png' })
+    letterbox.mount(container, content)
+
+    expect(letterbox.element.style.backgroundImage).toContain('bg.png')
+    expect(letterbox.element.style.backgroundSize).toBe('cover')
+  })
+
+  it('应该创建覆盖容器的模糊内容副本', () => {
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR, blur: 10 })
+    letterbox.mount(container, content)
+    letterbox.update(scaler)
+
+    const clone = letterbox.clone
+    expect(clone.className).toBe('fitscreen-letterbox-clone')
+    expect(clone.textContent).toContain('标题')
+
+    // 副本不应包含重复的id
+    expect(clone.id).toBe('')
+    expect(clone.querySelector('[id]')).toBeNull()
+    expect(container.querySelector('.fitscreen-content')).toBe(content)
+
+    // 覆盖比例为 2100/1600，再额外放大以隐藏模糊边缘
+    expect(clone.style.transform).toBe(`scale(${(2100 / 1600) * 1.1})`)
+    expect(clone.style.filter).toBe('blur(10px)')
+    expect(clone.style.left).toBe('250px')
+  })
+
+  it('应该在显式刷新时重新创建副本，尺寸变化时只重新排布', () => {
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR })
+    letterbox.mount(container, content)
+    const initialClone = letterbox.clone
+
+    letterbox.update({ ...scaler, resizeReason: 'window' })
+    expect(letterbox.clone).toBe(initialClone)
+    expect(letterbox.clone.style.left).toBe('250px')
+
+    letterbox.update({ ...scaler, resizeReason: 'refresh' })
+    expect(letterbox.clone).not.toBe(initialClone)
+    expect(letterbox.element.children).toHaveLength(1)
+    expect(letterbox.element.firstElementChild).toBe(letterbox.clone)
+    expect(letterbox.clone.style.left).toBe('250px')
+  })
+
+  describe('内容变化', () => {
+    beforeEach(() => {
+      // 不支持 requestAnimationFrame 时共享帧使用定时器
+      vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('应该在挂载后内容变化时在下一帧重新创建副本', async () => {
+      const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR })
+      letterbox.mount(container, content)
+      letterbox.update({ ...scaler, resizeReason: 'window' })
+      const initialClone = letterbox.clone
+
+      // 缩放时内联样式的变化不重新创建副本
+      content.style.transform = 'scale(0.5)'
+      await Promise.resolve()
+      vi.advanceTimersByTime(1000)
+      expect(letterbox.clone).toBe(initialClone)
+
+      content.querySelector('#title').textContent = '新标题'
+      await Promise.resolve()
+      expect(letterbox.clone).toBe(initialClone)
+
+      vi.advanceTimersByTime(16)
+      expect(letterbox.clone).not.toBe(initialClone)
+      expect(letterbox.clone.textContent).toContain('新标题')
+      expect(letterbox.clone.style.left).toBe('250px')
+
+      // 销毁后不再监听
+      letterbox.destroy()
+      content.querySelector('#title').textContent = '标题'
+      await Promise.resolve()
+      vi.advanceTimersByTime(1000)
+      expect(letterbox.clone).toBeNull()
+    })
+
+    it('应该节流持续的内容变化并忽略不影响显示的属性', async () => {
+      const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR })
+      letterbox.mount(container, content)
+      letterbox.update({ ...scaler, resizeReason: 'window' })
+      const createClone = vi.spyOn(letterbox, 'createClone')
+      const title = content.querySelector('#title')
+
+      // 图表路径等数据属性的变化不重新创建副本
+      title.setAttribute('data-value', '1')
+      await Promise.resolve()
+      vi.advanceTimersByTime(1000)
+      expect(createClone).not.toHaveBeenCalled()
+
+      // 每帧变化的内容最多每 500 毫秒重新创建一次副本
+      for (let i = 0; i < 30; i++) {
+        title.textContent = `${i}`
+        await Promise.resolve()
+        vi.advanceTimersByTime(16)
+      }
+      expect(createClone.mock.calls.length).toBeLessThanOrEqual(2)
+
+      vi.advanceTimersByTime(1000)
+      expect(letterbox.clone.textContent).toBe('29')
+      letterbox.destroy()
+    })
+  })
+
+  it('应该让副本不可交互且不加入原内容的表单', () => {
+    content.innerHTML += `
+      <form id="settings">
+        <input type="radio" name="range" value="day" checked autofocus>
+        <input type="radio" name="range" value="week">
+      </form>
+      <input form="settings" name="keyword">
+    `
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR })
+    letterbox.mount(container, content)
+
+    expect(letterbox.element.hasAttribute('inert')).toBe(true)
+    expect(letterbox.clone.querySelector('[name], [form], [autofocus]')).toBeNull()
+    expect(content.querySelector('input[value="day"]').checked).toBe(true)
+  })
+
+  it('应该在副本中移除媒体元素', () => {
+    content.innerHTML += '<iframe></iframe><video></video><audio></audio><canvas></canvas>'
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR })
+    letterbox.mount(container, content)
+    letterbox.update(scaler)
+
+    expect(letterbox.clone.querySelector('iframe, video, audio, canvas')).toBeNull()
+    expect(letterbox.clone.textContent).toContain('标题')
+    expect(content.querySelectorAll('iframe, video, audio, canvas')).toHaveLength(4)
+  })
+
+  it('应该清除副本从内容复制的 zoom 和过渡', () => {
+    content.style.zoom = '0.5'
+    content.style.transition = 'transform 300ms ease'
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR, blur: 0 })
+    letterbox.mount(container, content)
+    letterbox.update({ ...scaler, strategy: 'zoom', currentScaleX: 0.5, currentScaleY: 0.5 })
+
+    expect(letterbox.clone.style.zoom).toBe('')
+    expect(letterbox.clone.style.transition).toBe('none')
+    expect(letterbox.clone.style.width).toBe('1600px')
+    expect(letterbox.clone.style.transform).toBe(`scale(${2100 / 1600})`)
+  })
+
+  it('应该按 rem 和 reflow 策略已经缩放的布局尺寸排布副本', () => {
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR, blur: 0 })
+    letterbox.mount(container, content)
+
+    // rem 尺寸已经按根元素的 font-size 缩放 0.5，transform 只补足剩余的比例
+    letterbox.update({ ...scaler, strategy: 'rem', currentScaleX: 0.5, currentScaleY: 0.5 })
+    expect(letterbox.clone.style.width).toBe('800px')
+    expect(letterbox.clone.style.height).toBe('450px')
+    expect(letterbox.clone.style.left).toBe('650px')
+    expect(letterbox.clone.style.transform).toBe(`scale(${2100 / 1600 / 0.5})`)
+
+    letterbox.update({ ...scaler, strategy: 'reflow', currentScaleX: 0.5, currentScaleY: 0.5 })
+    expect(letterbox.clone.style.width).toBe('800px')
+    expect(letterbox.clone.style.transform).toBe(`scale(${2100 / 1600 / 0.5})`)
+  })
+
+  it('应该在blur为0时显示清晰的副本', () => {
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR, blur: 0 })
+    letterbox.mount(container, content)
+    letterbox.update(scaler)
+
+    expect(letterbox.clone.style.transform).toBe(`scale(${2100 / 1600})`)
+    expect(letterbox.clone.style.filter).toBe('none')
+  })
+
+  it('应该在销毁时移除填充层', () => {
+    const letterbox = new Letterbox({ type: LETTERBOX_TYPES.BLUR })
+    letterbox.mount(container, content)
+    letterbox.destroy()
+
+    expect(container.querySelector('.fitscreen-letterbox')).toBeNull()
+    expect(letterbox.element).toBeNull()
+  })
+})
@@ -1,15 +1,26 @@
-import { describe, it, expect, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
 import {
   MODES,
   validateMode,
   applyProportionalMode,
   applyFullscreenMode,
+  applyCoverMode,
+  resolveFocusPoint,
+  applyWidthMode,
+  applyHeightMode,
+  registerMode,
+  getModeDefinition,
+  applyOverflow,
+  OVERFLOW,
 } from '../../src/core/modes'
 
 describe('MODES', () => {
   it('应该定义正确的模式常量', () => {
     expect(MODES.PROPORTIONAL).toBe('proportional')
     expect(MODES.FULLSCREEN).toBe('fullscreen')
+    expect(MODES.COVER).toBe('cover')
+    expect(MODES.WIDTH).toBe('width')
+    expect(MODES.HEIGHT).toBe('height')
   })
 })
 
@@ -17,6 +28,7 @@ describe('validateMode', () => {
   it('应该验证有效的模式字符串', () => {
     expect(validateMode('proportional')).toBe('proportional')
     expect(validateMode('fullscreen')).toBe('fullscreen')
+    expect(validateMode('cover')).toBe('cover')
     // 测试大小写不敏感
     expect(validateMode('Proportional')).toBe('proportional')
     expect(validateMode('FULLSCREEN')).toBe('fullscreen')
@@ -31,6 +43,34 @@ describe('validateMode', () => {
   })
 })
 
+describe('registerMode', () => {
+  it('应该注册自定义模式并通过验证', () => {
+    const definition = { calculate: () => 1, apply: () => {} }
+
+    expect(registerMode('My-Mode', definition)).toBe(true)
+    expect(validateMode('my-mode')).toBe('my-mode')
+    expect(getModeDefinition('MY-MODE').calculate).toBe(definition.calculate)
+    expect(getModeDefinition('my-mode').scroll).toBe(false)
+  })
+
+  it('应该拒绝无效的模式定义', () => {
+    console.error = vi.fn()
+
+    expect(registerMode('', { calculate: () => 1, apply: () => {} })).toBe(false)
+    expect(registerMode('broken', { calculate: () => 1 })).toBe(false)
+    expect(validateMode('broken')).toBe(MODES.PROPORTIONAL)
+    expect(console.error).toHaveBeenCalledTimes(2)
+  })
+
+  it('内置模式应该通过注册表实现', () => {
+    Object.values(MODES).forEach((mode) => {
+      expect(getModeDefinition(mode)).toBeTruthy()
+    })
+    expect(getModeDefinition(MODES.WIDTH).scroll).toBe(true)
+    expect(getModeDefinition(MODES.PROPORTIONAL).scroll).toBe(false)
+  })
+})
+
 describe('applyProportionalMode', () => {
   let container, content
 
@@ -69,6 +109,29 @@ describe('applyProportionalMode', () => {
     expect(content.style.top).toBeTruthy()
   })
 
+  it('应该按对齐方式放置内容', () => {
+    // 缩放后内容为800x450，垂直方向剩余150px
+    applyProportionalMode(container, content, 0.5, { align: 'bottom' })
+    expect(content.style.left).toBe('0px')
+    expect(content.style.top).toBe('150px')
+
+    applyProportionalMode(container, content, 0.5, { align: { x: 0, y: 0.2 } })
+    expect(content.style.top).toBe('30px')
+
+    // 未设置 align 时兼容 centerContent
+    applyProportionalMode(container, content, 0.5, { centerContent: false })
+    expect(content.style.top).toBe('0px')
+  })
+
+  it('应该在可用区域内放置内容', () => {
+    const area = { left: 100, top: 60, width: 600, height: 540 }
+    applyProportionalMode(container, content, 0.25, { area })
+
+    // 缩放后内容为400x225，在可用区域内居中
+    expect(content.style.left).toBe('200px')
+    expect(content.style.top).toBe(`${60 + (540 - 225) / 2}px`)
+  })
+
   it('应该应用背景色', () => {
     const backgroundColor = '#000000'
     applyProportionalMode(container, content, 0.5, { backgroundColor })
@@ -123,3 +186,208 @@ describe('applyFullscreenMode', () => {
     expect(container.style.backgroundColor).toContain('0, 0, 0')
   })
 })
+
+describe('resolveFocusPoint', () => {
+  let content, target
+
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="content"><div id="target"></div></div>`
+    content = document.getElementById('content')
+    target = document.getElementById('target')
+
+    Object.defineProperty(content, 'offsetWidth', { value: 1600 })
+    Object.defineProperty(content, 'offsetHeight', { value: 900 })
+    Object.defineProperty(target, 'offsetLeft', { value: 100 })
+    Object.defineProperty(target, 'offsetTop', { value: 200 })
+    Object.defineProperty(target, 'offsetWidth', { value: 50 })
+    Object.defineProperty(target, 'offsetHeight', { value: 20 })
+    Object.defineProperty(target, 'offsetParent', { value: content })
+  })
+
+  it('默认应该以内容中心为焦点', () => {
+    expect(resolveFocusPoint(content, null)).toEqual({ x: 800, y: 450 })
+  })
+
+  it('应该支持相对位置焦点', () => {
+    expect(resolveFocusPoint(content, { x: 0.5, y: 0.2 })).toEqual({ x: 800, y: 180 })
+  })
+
+  it('应该支持选择器和元素焦点', () => {
+    expect(resolveFocusPoint(content, '#target')).toEqual({ x: 125, y: 210 })
+    expect(resolveFocusPoint(content, target)).toEqual({ x: 125, y: 210 })
+  })
+})
+
+describe('applyCoverMode', () => {
+  let container, content
+
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="container"></div>`
+    container = document.getElementById('container')
+    content = document.createElement('div')
+    content.id = 'content'
+    container.appendChild(content)
+
+    // 容器800x600，内容1600x900，覆盖比例为 600/900
+    Object.defineProperty(container, 'offsetWidth', { value: 800 })
+    Object.defineProperty(container, 'offsetHeight', { value: 600 })
+    Object.defineProperty(content, 'offsetWidth', { value: 1600 })
+    Object.defineProperty(content, 'offsetHeight', { value: 900 })
+  })
+
+  it('应该等比缩放并居中裁切内容', () => {
+    const scale = 600 / 900
+    applyCoverMode(container, content, scale, {})
+
+    expect(container.style.overflow).toBe('hidden')
+    expect(content.style.position).toBe('absolute')
+    expect(content.style.transform).toBe(`scale(${scale})`)
+    expect(content.style.transformOrigin).toBe('top left')
+
+    // 缩放后宽度约1066.67，水平居中裁切
+    expect(parseFloat(content.style.left)).toBeCloseTo((800 - 1600 * scale) / 2, 2)
+    expect(content.style.top).toBe('0px')
+  })
+
+  it('应该根据焦点调整裁切位置并保证内容覆盖容器', () => {
+    const scale = 600 / 900
+
+    // 焦点在最左侧时不应出现空白
+    applyCoverMode(container, content, scale, { focus: { x: 0, y: 0.5 } })
+    expect(content.style.left).toBe('0px')
+
+    // 焦点在最右侧时内容右边缘对齐容器
+    applyCoverMode(container, content, scale, { focus: { x: 1, y: 0.5 } })
+    expect(parseFloat(content.style.left)).toBeCloseTo(800 - 1600 * scale, 2)
+  })
+
+  it('应该在未指定焦点时按对齐方式裁切', () => {
+    const scale = 600 / 900
+    applyCoverMode(container, content, scale, { align: 'right' })
+
+    expect(parseFloat(content.style.left)).toBeCloseTo(800 - 1600 * scale, 2)
+  })
+
+  it('应该在不需要缩放内容时不修改内容样式', () => {
+    applyCoverMode(container, content, 0.5, { scaleContent: false })
+
+    expect(content.style.transform).toBe('')
+  })
+})
+
+describe('applyWidthMode / applyHeightMode', () => {
+  let container, content
+
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="container"></div>`
+    container = document.getElementById('container')
+    content = document.createElement('div')
+    content.id = 'content'
+    container.appendChild(content)
+  })
+
+  it('宽度适配模式应该垂直滚动', () => {
+    applyWidthMode(container, content, 0.5, {})
+
+    expect(container.style.overflowX).toBe('hidden')
+    expect(container.style.overflowY).toBe('auto')
+    expect(content.style.transform).toBe('scale(0.5)')
+    expect(content.style.transformOrigin).toBe('top left')
+    expect(content.style.left).toBe('0px')
+    expect(content.style.top).toBe('0px')
+  })
+
+  it('高度适配模式应该水平滚动', () => {
+    applyHeightMode(container, content, 0.5, {})
+
+    expect(container.style.overflowX).toBe('auto')
+    expect(container.style.overflowY).toBe('hidden')
+    expect(content.style.transform).toBe('scale(0.5)')
+  })
+
+  it('应该在不滚动的方向按对齐方式分配剩余空间', () => {
+    const area = { left: 0, top: 0, width: 3840, height: 1080 }
+    const designSize = { width: 1920, height: 1080 }
+
+    // 缩放比例被 maxScale 限制为1时，内容窄于容器
+    applyWidthMode(container, content, 1, { area, designSize, align: 'center' })
+    expect(content.style.left).toBe('960px')
+    expect(content.style.top).toBe('0px')
+
+    applyWidthMode(container, content, 1, { area, designSize, align: 'right' })
+    expect(content.style.left).toBe('1920px')
+
+    applyHeightMode(container, content, 0.5, { area, designSize, align: 'bottom' })
+    expect(content.style.left).toBe('0px')
+    expect(content.style.top).toBe('540px')
+  })
+})
+
+describe('applyOverflow', () => {
+  let container, content
+
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="container"></div>`
+    container = document.getElementById('container')
+    content = document.createElement('div')
+    container.appendChild(content)
+
+    // 容器800x600，内容1600x900，缩放比例1时超出容器
+    Object.defineProperty(container, 'offsetWidth', { value: 800 })
+    Object.defineProperty(container, 'offsetHeight', { value: 600 })
+    Object.defineProperty(content, 'offsetWidth', { value: 1600 })
+    Object.defineProperty(content, 'offsetHeight', { value: 900 })
+  })
+
+  it('默认应该允许容器滚动', () => {
+    applyOverflow(container, content, 1, 1, {})
+
+    expect(container.style.overflowX).toBe('auto')
+    expect(container.style.overflowY).toBe('auto')
+    expect(content.style.left).toBe('0px')
+    expect(content.style.top).toBe('0px')
+  })
+
+  it('应该支持居中裁切', () => {
+    applyOverflow(container, content, 1, 1, { overflow: OVERFLOW.CENTER })
+
+    expect(container.style.overflowX).toBe('hidden')
+    expect(container.style.overflowY).toBe('hidden')
+    expect(content.style.left).toBe('-400px')
+    expect(content.style.top).toBe('-150px')
+  })
+
+  it('应该只设置超出的方向', () => {
+    // 内容宽 960、高 540，只在水平方向超出
+    content.style.top = '30px'
+    applyOverflow(container, content, 0.6, 0.6, { overflow: OVERFLOW.HIDDEN })
+
+    expect(container.style.overflowX).toBe('hidden')
+    expect(container.style.overflowY).toBe('')
+    expect(content.style.left).toBe('0px')
+    expect(content.style.top).toBe('30px')
+  })
+
+  it('应该跳过模式自身滚动的方向', () => {
+    container.style.overflowY = 'auto'
+    content.style.top = '0px'
+    applyOverflow(container, content, 1, 1, { overflow: OVERFLOW.CENTER, scrollAxis: 'y' })
+
+    expect(container.style.overflowX).toBe('hidden')
+    expect(container.style.overflowY).toBe('auto')
+    expect(content.style.left).toBe('-400px')
+    expect(content.style.top).toBe('0px')
+
+    // 两个方向都滚动时不处理溢出
+    container.removeAttribute('style')
+    applyOverflow(container, content, 1, 1, { overflow: OVERFLOW.HIDDEN, scrollAxis: 'both' })
+    expect(container.style.overflowX).toBe('')
+  })
+
+  it('应该在内容未超出容器时不修改样式', () => {
+    applyOverflow(container, content, 0.4, 0.4, { overflow: OVERFLOW.HIDDEN })
+
+    expect(container.style.overflow).toBe('')
+    expect(content.style.left).toBe('')
+  })
+})
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { PointerEnhancer } from '../../src/core/pointer'
+
+describe('PointerEnhancer', () => {
+  let container, child, scaler, enhancer
+
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="container"><button id="child"></button></div>`
+    container = document.getElementById('container')
+    child = document.getElementById('child')
+
+    scaler = {
+      clientToDesign: vi.fn((x, y) => ({ x: x * 2, y: y * 2 })),
+    }
+    enhancer = new PointerEnhancer(scaler)
+  })
+
+  it('应该为容器内的指针事件附加设计稿坐标', () => {
+    const listener = vi.fn()
+    child.addEventListener('click', listener)
+    enhancer.attach(container)
+
+    child.dispatchEvent(new MouseEvent('click', { clientX: 10, clientY: 20, bubbles: true }))
+
+    const event = listener.mock.calls[0][0]
+    expect(event.designX).toBe(20)
+    expect(event.designY).toBe(40)
+  })
+
+  it('应该在停止监听后不再附加坐标', () => {
+    const listener = vi.fn()
+    child.addEventListener('mousedown', listener)
+    enhancer.attach(container)
+    enhancer.detach()
+
+    child.dispatchEvent(new MouseEvent('mousedown', { clientX: 10, clientY: 20, bubbles: true }))
+
+    expect(listener.mock.calls[0][0].designX).toBeUndefined()
+    expect(enhancer.container).toBeNull()
+  })
+})
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Portal, COMMON_POPUP_SELECTORS } from '../../src/core/portal'
+
+describe('Portal', () => {
+  let container, content
+
+  beforeEach(() => {
+    // 创建测试DOM
+    document.body.innerHTML = `
+      <div id="container">
+        <div class="fitscreen-content" id="content"></div>
+      </div>
+    `
+    container = document.getElementById('container')
+    content = document.getElementById('content')
+  })
+
+  it('应该在内容元素上方挂载弹出层容器', () => {
+    const portal = new Portal()
+    portal.mount(container, content)
+
+    expect(portal.element.className).toBe('fitscreen-portal')
+    expect(portal.element.previousElementSibling).toBe(content)
+    expect(portal.element.style.position).toBe('absolute')
+    expect(portal.element.style.width).toBe('0px')
+    expect(portal.element.style.height).toBe('0px')
+  })
+
+  it('应该同步内容元素的缩放变换', () => {
+    const portal = new Portal()
+    portal.mount(container, content)
+
+    content.style.left = '100px'
+    content.style.top = '50px'
+    content.style.transformOrigin = 'top left'
+    content.style.transform = 'scale(0.5)'
+    portal.update()
+
+    expect(portal.element.style.left).toBe('100px')
+    expect(portal.element.style.top).toBe('50px')
+    expect(portal.element.style.transformOrigin).toBe('top left')
+    expect(portal.element.style.transform).toBe('scale(0.5)')
+  })
+
+  it('应该转移已挂载到 body 上的弹出层', () => {
+    const popup = document.createElement('div')
+    popup.innerHTML = '<div class="ant-select-dropdown"></div>'
+    const other = document.createElement('div')
+    document.body.appendChild(popup)
+    document.body.appendChild(other)
+
+    const portal = new Portal()
+    portal.mount(container, content)
+    portal.redirect()
+
+    expect(COMMON_POPUP_SELECTORS).toContain('.ant-select-dropdown')
+    expect(popup.parentNode).toBe(portal.element)
+    expect(other.parentNode).toBe(document.body)
+  })
+
+  it('应该转移之后挂载到 body 上的弹出层', async () => {
+    const portal = new Portal()
+    portal.mount(container, content)
+    portal.redirect(['.my-popup'])
+
+    const popup = document.createElement('div')
+    popup.className = 'my-popup'
+    document.body.appendChild(popup)
+
+    // 等待 MutationObserver 回调
+    await Promise.resolve()
+
+    expect(popup.parentNode).toBe(portal.element)
+  })
+
+  it('应该在销毁时移除弹出层容器并将弹出层放回 body', () => {
+    const popup = document.createElement('div')
+    popup.className = 'my-popup'
+    document.body.appendChild(popup)
+
+    const portal = new Portal()
+    portal.mount(container, content)
+    portal.redirect(['.my-popup'])
+    portal.destroy()
+
+    expect(container.querySelector('.fitscreen-portal')).toBeNull()
+    expect(popup.parentNode).toBe(document.body)
+    expect(portal.observer).toBeNull()
+  })
+
+  it('应该在分离后再次挂载时复用弹出层容器并恢复转移', () => {
+    const popup = document.createElement('div')
+    popup.className = 'my-popup'
+    document.body.appendChild(popup)
+
+    const portal = new Portal()
+    portal.mount(container, content)
+    portal.redirect(['.my-popup'])
+    const element = portal.element
+    expect(popup.parentNode).toBe(element)
+
+    // 分离时弹出层放回 body
+    portal.detach()
+    expect(element.parentNode).toBeNull()
+    expect(popup.parentNode).toBe(document.body)
+
+    portal.mount(container, content)
+    expect(portal.element).toBe(element)
+    expect(element.parentNode).toBe(container)
+    expect(popup.parentNode).toBe(element)
+    portal.destroy()
+  })
+})
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  normalizeRegions,
+  computeRegionBoxes,
+  applyFixedRegion,
+  DOCKS,
+} from '../../src/core/regions'
+
+describe('regions', () => {
+  let container
+
+  beforeEach(() => {
+    // 创建测试DOM
+    document.body.innerHTML = `
+      <div id="container">
+        <div class="header"></div>
+        <div class="nav"></div>
+        <div class="stage"></div>
+      </div>
+    `
+    container = document.getElementById('container')
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('normalizeRegions', () => {
+    it('应该按书写顺序查找区域元素', () => {
+      const stage = container.querySelector('.stage')
+      const regions = normalizeRegions(
+        {
+          header: { selector: '.header', fixed: true, dock: 'TOP', size: 60 },
+          stage: { element: stage, width: 1600, height: 900 },
+        },
+        container
+      )
+
+      expect(regions.map((region) => region.name)).toEqual(['header', 'stage'])
+      expect(regions[0].element).toBe(container.querySelector('.header'))
+      expect(regions[0].fixed).toBe(true)
+      expect(regions[0].dock).toBe(DOCKS.TOP)
+      expect(regions[1].element).toBe(stage)
+      expect(regions[1].fixed).toBe(false)
+      expect(regions[1].dock).toBeNull()
+    })
+
+    it('应该忽略找不到元素的区域', () => {
+      console.error = vi.fn()
+
+      const regions = normalizeRegions({ missing: { selector: '.missing' } }, container)
+
+      expect(regions).toEqual([])
+      expect(console.error).toHaveBeenCalledWith('[FitScreenJS] 找不到区域元素: missing')
+    })
+
+    it('应该在没有配置时返回空列表', () => {
+      expect(normalizeRegions(null, container)).toEqual([])
+    })
+  })
+
+  describe('computeRegionBoxes', () => {
+    const area = { left: 0, top: 0, width: 1920, height: 1080 }
+    const region = (name, dock, size) => ({ name, dock, size })
+
+    it('应该按顺序停靠区域，剩余区域分配给没有停靠方向的区域', () => {
+      const boxes = computeRegionBoxes(
+        [region('header', 'top', 60), region('nav', 'left', 320), region('stage', null)],
+        area
+      )
+
+      expect(boxes.header).toEqual({ left: 0, top: 0, width: 1920, height: 60 })
+      expect(boxes.nav).toEqual({ left: 0, top: 60, width: 320, height: 1020 })
+      expect(boxes.stage).toEqual({ left: 320, top: 60, width: 1600, height: 1020 })
+    })
+
+    it('应该支持右侧和底部停靠以及百分比尺寸', () => {
+      const boxes = computeRegionBoxes(
+        [region('footer', 'bottom', 80), region('side', 'right', '25%'), region('main', null)],
+        area
+      )
+
+      expect(boxes.footer).toEqual({ left: 0, top: 1000, width: 1920, height: 80 })
+      expect(boxes.side).toEqual({ left: 1440, top: 0, width: 480, height: 1000 })
+      expect(boxes.main).toEqual({ left: 0, top: 0, width: 1440, height: 1000 })
+    })
+
+    it('应该将停靠尺寸限制在剩余区域内', () => {
+      const boxes = computeRegionBoxes([region('nav', 'left', 3000), region('stage', null)], {
+        left: 10,
+        top: 20,
+        width: 800,
+        height: 600,
+      })
+
+      expect(boxes.nav).toEqual({ left: 10, top: 20, width: 800, height: 600 })
+      expect(boxes.stage).toEqual({ left: 810, top: 20, width: 0, height: 600 })
+    })
+  })
+
+  describe('applyFixedRegion', () => {
+    it('应该按屏幕像素放置固定区域', () => {
+      const nav = container.querySelector('.nav')
+      applyFixedRegion(nav, { left: 0, top: 60, width: 320, height: 1020 })
+
+      expect(nav.style.position).toBe('absolute')
+      expect(nav.style.boxSizing).toBe('border-box')
+      expect(nav.style.left).toBe('0px')
+      expect(nav.style.top).toBe('60px')
+      expect(nav.style.width).toBe('320px')
+      expect(nav.style.height).toBe('1020px')
+    })
+  })
+})
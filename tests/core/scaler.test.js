@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { Scaler } from '../../src/core/scaler'
 import { MODES } from '../../src/core/modes'
 import * as helpers from '../../src/utils/helpers'
@@ -34,9 +34,22 @@ describe('Scaler', () => {
       return cover ? 1.5 : 0.5
     })
 
-    // 模拟应用样式函数
-    vi.spyOn(modes, 'applyProportionalMode').mockImplementation(() => {})
-    vi.spyOn(modes, 'applyFullscreenMode').mockImplementation(() => {})
+    // 模拟各模式应用样式的方法
+    Object.values(MODES).forEach((mode) => {
+      vi.spyOn(modes.getModeDefinition(mode), 'apply').mockImplementation(() => {})
+    })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  // 传给模式的配置选项，附带可用区域和设计尺寸
+  const applyOptionsOf = (width, height, area = { left: 0, top: 0, width: 800, height: 600 }) => ({
+    ...options,
+    area,
+    designSize: { width, height },
+    strategy: 'transform',
   })
 
   it('应该正确初始化默认值', () => {
@@ -89,9 +102,14 @@ describe('Scaler', () => {
     scaler.setMode(MODES.FULLSCREEN)
 
     expect(scaler.currentMode).toBe(MODES.FULLSCREEN)
-    expect(refreshSpy).toHaveBeenCalled()
+    expect(refreshSpy).toHaveBeenCalledWith('refresh')
     expect(options.onModeChange).toHaveBeenCalledWith(MODES.FULLSCREEN)
 
+    // 可以指定刷新的原因
+    scaler.setMode(MODES.PROPORTIONAL, 'fullscreen')
+    expect(refreshSpy).toHaveBeenLastCalledWith('fullscreen')
+    scaler.setMode(MODES.FULLSCREEN)
+
     // 再次设置相同模式不应触发回调
     refreshSpy.mockClear()
     options.onModeChange.mockClear()
@@ -102,12 +120,399 @@ describe('Scaler', () => {
     expect(options.onModeChange).not.toHaveBeenCalled()
   })
 
+  it('应该在刷新时按容器宽高比切换设计稿', () => {
+    const wide = { width: 1920, height: 1080, minAspect: 1.5, className: 'board-wide' }
+    const standard = { width: 1024, height: 768, maxAspect: 1.5, className: 'board-standard' }
+    const onDesignChange = vi.fn()
+    const onDesignSizeChange = vi.fn()
+    const artboardScaler = new Scaler({
+      designs: [wide, standard],
+      onDesignChange,
+      onDesignSizeChange,
+    })
+
+    // 容器尺寸可变
+    const size = { width: 800, height: 600 }
+    const board = document.createElement('div')
+    Object.defineProperty(board, 'offsetWidth', { get: () => size.width })
+    Object.defineProperty(board, 'offsetHeight', { get: () => size.height })
+    board.appendChild(content)
+    artboardScaler.setElements(board, content)
+
+    artboardScaler.refresh()
+    expect(artboardScaler.getDesign()).toBe(standard)
+    expect(artboardScaler.designSize).toEqual({ width: 1024, height: 768 })
+    expect(content.classList.contains('board-standard')).toBe(true)
+    expect(onDesignChange).toHaveBeenCalledWith({
+      design: standard,
+      previousDesign: null,
+      width: 1024,
+      height: 768,
+    })
+
+    size.width = 1600
+    artboardScaler.refresh()
+    expect(artboardScaler.getDesign()).toBe(wide)
+    expect(content.classList.contains('board-standard')).toBe(false)
+    expect(content.classList.contains('board-wide')).toBe(true)
+    expect(onDesignChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({ design: wide, previousDesign: standard })
+    )
+    expect(onDesignSizeChange).toHaveBeenLastCalledWith({ width: 1920, height: 1080 })
+
+    // 设计稿未变化时不触发回调
+    artboardScaler.refresh()
+    expect(onDesignChange).toHaveBeenCalledTimes(2)
+
+    // 分离时移除设计稿的 className
+    artboardScaler.detach()
+    expect(content.classList.contains('board-wide')).toBe(false)
+    expect(artboardScaler.getDesign()).toBeNull()
+  })
+
+  it('应该在取消缩放时保持原来的设计稿', () => {
+    const wide = { width: 1920, height: 1080, minAspect: 1, className: 'wide' }
+    const tall = { width: 1080, height: 1920, maxAspect: 1, className: 'tall' }
+    const onDesignChange = vi.fn()
+    let cancel = false
+    const artboardScaler = new Scaler({
+      designs: [wide, tall],
+      onDesignChange,
+      onBeforeResize: () => !cancel,
+    })
+
+    const size = { width: 800, height: 600 }
+    const board = document.createElement('div')
+    Object.defineProperty(board, 'offsetWidth', { get: () => size.width })
+    Object.defineProperty(board, 'offsetHeight', { get: () => size.height })
+    board.appendChild(content)
+    artboardScaler.setElements(board, content)
+    artboardScaler.refresh()
+    onDesignChange.mockClear()
+
+    // 容器变为竖屏，但缩放被取消
+    cancel = true
+    size.width = 400
+    artboardScaler.refresh()
+
+    expect(artboardScaler.getDesign()).toBe(wide)
+    expect(artboardScaler.designSize).toEqual({ width: 1920, height: 1080 })
+    expect(content.classList.contains('tall')).toBe(false)
+    expect(content.classList.contains('wide')).toBe(true)
+    expect(onDesignChange).not.toHaveBeenCalled()
+
+    // 确认缩放后切换
+    cancel = false
+    artboardScaler.refresh()
+    expect(artboardScaler.getDesign()).toBe(tall)
+    expect(content.classList.contains('tall')).toBe(true)
+    expect(onDesignChange).toHaveBeenCalledWith(
+      expect.objectContaining({ design: tall, previousDesign: wide })
+    )
+  })
+
+  it('应该只显示拼接屏中的一个分块', () => {
+    const applySpy = modes.getModeDefinition(MODES.PROPORTIONAL).apply
+    const tileScaler = new Scaler({ tile: { cols: 2, rows: 2, col: 1, row: 0 } })
+    tileScaler.setElements(container, content)
+    tileScaler.designSize = { width: 3200, height: 2400 }
+    helpers.calculateScale.mockRestore()
+
+    tileScaler.refresh()
+
+    // 分块 1600x1200 按比例适配 800x600 的容器
+    expect(tileScaler.getScale()).toBe(0.5)
+    expect(tileScaler.getTileRect()).toEqual({ x: 1600, y: 0, width: 1600, height: 1200 })
+
+    // 整个设计稿向左偏移一个分块的宽度
+    const [, , , applyOptions] = applySpy.mock.calls[applySpy.mock.calls.length - 1]
+    expect(applyOptions.area).toEqual({ left: -800, top: 0, width: 1600, height: 1200 })
+    expect(applyOptions.designSize).toEqual({ width: 3200, height: 2400 })
+
+    // 取消分块时显示整个设计稿
+    tileScaler.setTile(null)
+    expect(tileScaler.getScale()).toBe(0.25)
+    expect(tileScaler.getTileRect()).toBeNull()
+  })
+
+  it('应该按边框宽度隐藏相邻分块之间的内容', () => {
+    const tileScaler = new Scaler({
+      tile: { cols: 2, rows: 1, col: 1, row: 0 },
+      bezel: { horizontal: 80 },
+    })
+    tileScaler.setElements(container, content)
+    tileScaler.designSize = { width: 3360, height: 1200 }
+    helpers.calculateScale.mockRestore()
+
+    tileScaler.refresh()
+
+    // 80px 的边框为容器宽度的 10%，对应设计稿中 160px 不显示
+    const rect = tileScaler.getTileRect()
+    expect(rect.x).toBeCloseTo(1760)
+    expect(rect.width).toBeCloseTo(1600)
+    expect(tileScaler.getScale()).toBeCloseTo(0.5)
+  })
+
   it('应该获取当前模式', () => {
     scaler.currentMode = MODES.FULLSCREEN
 
     expect(scaler.getMode()).toBe(MODES.FULLSCREEN)
   })
 
+  it('应该记录内容在容器中的偏移', () => {
+    modes.getModeDefinition(MODES.PROPORTIONAL).apply.mockImplementation((cont, el) => {
+      el.style.left = '40px'
+      el.style.top = '25px'
+    })
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+
+    expect(scaler.getOffset()).toEqual({ x: 40, y: 25 })
+  })
+
+  it('应该扣除 insets 后计算缩放比例并传递可用区域', () => {
+    options.insets = { top: 60, right: '5%', bottom: 0, left: 0 }
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+
+    const area = { left: 0, top: 60, width: 760, height: 540 }
+    expect(helpers.calculateScale).toHaveBeenLastCalledWith(760, 540, 1920, 1080)
+    expect(scaler.area).toEqual(area)
+    expect(modes.getModeDefinition(MODES.PROPORTIONAL).apply).toHaveBeenCalledWith(
+      container,
+      content,
+      { scale: 0.5 },
+      applyOptionsOf(1920, 1080, area)
+    )
+  })
+
+  it('应该在缩放后更新附加层', () => {
+    const layer = { update: vi.fn() }
+    scaler.setElements(container, content)
+    scaler.addLayer(layer)
+    scaler.addLayer(layer)
+
+    scaler.setDesignSize(1920, 1080)
+    expect(layer.update).toHaveBeenCalledTimes(1)
+    expect(layer.update).toHaveBeenCalledWith(scaler)
+
+    scaler.removeLayer(layer)
+    scaler.refresh()
+    expect(layer.update).toHaveBeenCalledTimes(1)
+  })
+
+  it('应该切换缩放策略并刷新', () => {
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+    const refreshSpy = vi.spyOn(scaler, 'refresh')
+
+    expect(scaler.getStrategy()).toBe('transform')
+    expect(scaler.setStrategy('reflow')).toBe('reflow')
+    expect(scaler.options.strategy).toBe('reflow')
+    expect(refreshSpy).toHaveBeenCalledTimes(1)
+
+    // 策略未变化时不刷新
+    scaler.setStrategy('REFLOW')
+    expect(refreshSpy).toHaveBeenCalledTimes(1)
+
+    // 缩放比例的含义不受策略影响
+    expect(scaler.getScale()).toBe(0.5)
+  })
+
+  it('应该只允许一个实例使用rem策略', () => {
+    console.error = vi.fn()
+    document.documentElement.style.fontSize = '16px'
+
+    const first = new Scaler({ strategy: 'rem' })
+    const second = new Scaler({ strategy: 'rem' })
+    first.setElements(container, content)
+    second.setElements(container, content)
+
+    expect(first.getStrategy()).toBe('rem')
+    expect(second.getStrategy()).toBe('transform')
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('rem'))
+
+    // 释放后其他实例可以使用，并恢复原来的 font-size
+    document.documentElement.style.fontSize = '50px'
+    first.destroy()
+    expect(document.documentElement.style.fontSize).toBe('16px')
+    expect(second.setStrategy('rem')).toBe('rem')
+
+    // 切换到其他策略时释放
+    second.setStrategy('transform')
+    const third = new Scaler({ strategy: 'rem' })
+    third.setElements(container, content)
+    expect(third.getStrategy()).toBe('rem')
+    third.destroy()
+  })
+
+  it('应该在设置容器后才占用rem策略', () => {
+    console.error = vi.fn()
+
+    // 未应用到容器的实例不影响其他实例
+    const idle = new Scaler({ strategy: 'rem' })
+    const applied = new Scaler({ strategy: 'rem' })
+    applied.setElements(container, content)
+
+    expect(applied.getStrategy()).toBe('rem')
+    expect(console.error).not.toHaveBeenCalled()
+
+    // 之前被占用而回退的实例重新设置元素时再次申请
+    idle.setElements(container, content)
+    expect(idle.getStrategy()).toBe('transform')
+    applied.destroy()
+    idle.setElements(container, content)
+    expect(idle.getStrategy()).toBe('rem')
+    idle.destroy()
+  })
+
+  it('应该在分离后释放rem策略并在重新设置元素时再次申请', () => {
+    document.documentElement.style.fontSize = '16px'
+    const remScaler = new Scaler({ strategy: 'rem' })
+    remScaler.setElements(container, content)
+
+    document.documentElement.style.fontSize = '50px'
+    remScaler.detach()
+    expect(remScaler.container).toBeNull()
+    expect(remScaler.content).toBeNull()
+    expect(remScaler.isInitialized).toBe(false)
+    expect(document.documentElement.style.fontSize).toBe('16px')
+
+    // 分离期间其他实例可以使用 rem 策略
+    const other = new Scaler({ strategy: 'rem' })
+    other.setElements(container, content)
+    expect(other.getStrategy()).toBe('rem')
+    other.destroy()
+
+    remScaler.setElements(container, content)
+    expect(remScaler.getStrategy()).toBe('rem')
+    remScaler.destroy()
+  })
+
+  it('应该反向缩放不参与缩放的元素', () => {
+    content.innerHTML = `
+      <div id="tooltip" data-fitscreen-no-scale="bottom center"></div>
+      <div id="legend" class="legend" style="transform: rotate(10deg)"></div>
+    `
+    const tooltip = content.querySelector('#tooltip')
+    const legend = content.querySelector('#legend')
+
+    options.unscaledSelector = '.legend'
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+
+    expect(tooltip.style.transform).toBe('scale(2, 2)')
+    expect(tooltip.style.transformOrigin).toBe('bottom center')
+    expect(legend.style.transform).toBe('rotate(10deg) scale(2, 2)')
+    expect(legend.style.transformOrigin).toBe('top left')
+
+    // 不再匹配时恢复原始样式
+    delete options.unscaledSelector
+    scaler.refresh()
+    expect(legend.style.transform).toBe('rotate(10deg)')
+    expect(tooltip.style.transform).toBe('scale(2, 2)')
+
+    // 销毁时恢复所有元素，原本没有 style 属性的元素不留下空的 style 属性
+    scaler.destroy()
+    expect(tooltip.style.transform).toBe('')
+    expect(tooltip.hasAttribute('style')).toBe(false)
+    expect(legend.getAttribute('style')).toBe('transform: rotate(10deg)')
+  })
+
+  it('应该在销毁时将不参与缩放的元素恢复到应用前的状态', () => {
+    content.innerHTML = `
+      <span id="title" class="legend"></span>
+      <div id="legend" class="legend" style="color: red;"></div>
+    `
+    const originalHTML = content.innerHTML
+
+    options.unscaledSelector = '.legend'
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+    expect(content.querySelector('#title').style.transform).toBe('scale(2, 2)')
+
+    scaler.destroy()
+    expect(content.innerHTML).toBe(originalHTML)
+    delete options.unscaledSelector
+  })
+
+  it('应该在应用修改transform后保留其定位并重新反向缩放', () => {
+    content.innerHTML = '<div id="tooltip" data-fitscreen-no-scale></div>'
+    const tooltip = content.querySelector('#tooltip')
+
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+    expect(tooltip.style.transform).toBe('scale(2, 2)')
+
+    // 提示框组件在两次刷新之间通过 transform 定位
+    tooltip.style.transform = 'translate(100px, 40px)'
+    scaler.refresh()
+    expect(tooltip.style.transform).toBe('translate(100px, 40px) scale(2, 2)')
+
+    tooltip.style.transform = 'translate(20px, 10px)'
+    scaler.refresh()
+    expect(tooltip.style.transform).toBe('translate(20px, 10px) scale(2, 2)')
+
+    // 销毁时只移除反向缩放，保留应用设置的定位
+    scaler.destroy()
+    expect(tooltip.style.transform).toBe('translate(20px, 10px)')
+    expect(tooltip.style.transformOrigin).toBe('')
+  })
+
+  it('应该在rem策略下反向缩放不参与缩放的元素', () => {
+    content.innerHTML = '<div id="tooltip" data-fitscreen-no-scale></div>'
+    const tooltip = content.querySelector('#tooltip')
+    const remScaler = new Scaler({ strategy: 'rem' })
+    remScaler.setElements(container, content)
+    remScaler.setDesignSize(1920, 1080)
+
+    expect(remScaler.getStrategy()).toBe('rem')
+    expect(tooltip.style.transform).toBe('scale(2, 2)')
+
+    remScaler.destroy()
+    expect(tooltip.style.transform).toBe('')
+  })
+
+  it('应该在视口坐标和设计稿坐标之间转换', () => {
+    container.getBoundingClientRect = () => ({ left: 100, top: 50 })
+    modes.getModeDefinition(MODES.PROPORTIONAL).apply.mockImplementation((cont, el) => {
+      el.style.left = '0px'
+      el.style.top = '75px'
+    })
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+
+    // 缩放比例0.5，设计稿原点在视口的 (100, 125)
+    expect(scaler.clientToDesign(200, 225)).toEqual({ x: 200, y: 200 })
+    expect(scaler.designToClient(200, 200)).toEqual({ x: 200, y: 225 })
+    expect(scaler.designRectToClient({ x: 0, y: 0, width: 100, height: 40 })).toEqual({
+      x: 100,
+      y: 125,
+      width: 50,
+      height: 20,
+      left: 100,
+      top: 125,
+      right: 150,
+      bottom: 145,
+    })
+  })
+
+  it('应该在全屏填充模式下分别按X和Y方向转换坐标', () => {
+    container.getBoundingClientRect = () => ({ left: 0, top: 0 })
+    scaler.setElements(container, content)
+    scaler.currentMode = MODES.FULLSCREEN
+    scaler.setDesignSize(1600, 300)
+
+    // scaleX=0.5, scaleY=2
+    expect(scaler.clientToDesign(400, 400)).toEqual({ x: 800, y: 200 })
+    expect(scaler.designToClient(800, 200)).toEqual({ x: 400, y: 400 })
+  })
+
+  it('应该在未设置容器时返回null', () => {
+    expect(scaler.clientToDesign(0, 0)).toBeNull()
+    expect(scaler.designRectToClient({ x: 0, y: 0 })).toBeNull()
+  })
+
   it('应该获取当前缩放比例', () => {
     scaler.currentScale = 0.75
 
@@ -126,6 +531,18 @@ describe('Scaler', () => {
     scaler.currentMode = MODES.FULLSCREEN
     expect(scaler.calculateCurrentScale()).toBe(1.5)
 
+    // 等比覆盖模式
+    scaler.currentMode = MODES.COVER
+    expect(scaler.calculateCurrentScale()).toBe(1.5)
+
+    // 宽度适配模式只按宽度计算
+    scaler.currentMode = MODES.WIDTH
+    expect(scaler.calculateCurrentScale()).toBe(800 / 1920)
+
+    // 高度适配模式只按高度计算
+    scaler.currentMode = MODES.HEIGHT
+    expect(scaler.calculateCurrentScale()).toBe(600 / 1080)
+
     // 在容器或设计尺寸无效时应返回1
     scaler.container = null
     expect(scaler.calculateCurrentScale()).toBe(1)
@@ -139,8 +556,18 @@ describe('Scaler', () => {
     scaler.applyScaling()
 
     expect(scaler.currentScale).toBe(0.5)
-    expect(modes.applyProportionalMode).toHaveBeenCalledWith(container, content, 0.5, options)
-    expect(options.onResize).toHaveBeenCalledWith(800, 600, 0.5)
+    expect(modes.getModeDefinition(MODES.PROPORTIONAL).apply).toHaveBeenCalledWith(
+      container,
+      content,
+      { scale: 0.5 },
+      applyOptionsOf(1920, 1080)
+    )
+    expect(options.onResize).toHaveBeenCalledWith(800, 600, 0.5, null, {
+      raw: 0.5,
+      scale: 0.5,
+      clamped: null,
+      reason: 'refresh',
+    })
   })
 
   it('应该应用全屏填充样式', () => {
@@ -151,15 +578,212 @@ describe('Scaler', () => {
     scaler.applyScaling()
 
     expect(scaler.currentScale).toBe(1.5)
-    expect(modes.applyFullscreenMode).toHaveBeenCalledWith(container, content, 1.5, options)
-    expect(options.onResize).toHaveBeenCalledWith(800, 600, 1.5)
+    expect(modes.getModeDefinition(MODES.FULLSCREEN).apply).toHaveBeenCalledWith(
+      container,
+      content,
+      { scale: 1.5, scaleX: 800 / 1920, scaleY: 600 / 1080 },
+      applyOptionsOf(1920, 1080)
+    )
+    expect(options.onResize).toHaveBeenCalledWith(
+      800,
+      600,
+      1.5,
+      { x: 800 / 1920, y: 600 / 1080 },
+      { raw: 1.5, scale: 1.5, clamped: null, reason: 'refresh' }
+    )
+  })
+
+  it('应该应用等比覆盖样式', () => {
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+    scaler.currentMode = MODES.COVER
+
+    scaler.applyScaling()
+
+    expect(scaler.currentScale).toBe(1.5)
+    expect(modes.getModeDefinition(MODES.COVER).apply).toHaveBeenCalledWith(
+      container,
+      content,
+      { scale: 1.5 },
+      applyOptionsOf(1920, 1080)
+    )
+  })
+
+  it('应该在宽度适配模式下按设计稿坐标保持滚动位置', () => {
+    let scrollTop = 0
+    Object.defineProperty(container, 'scrollTop', {
+      get: () => scrollTop,
+      set: (value) => (scrollTop = value),
+    })
+
+    scaler.setElements(container, content)
+    scaler.currentMode = MODES.WIDTH
+    scaler.setDesignSize(1600, 4000)
+    expect(scaler.currentScale).toBe(0.5)
+    expect(modes.getModeDefinition(MODES.WIDTH).apply).toHaveBeenCalledWith(
+      container,
+      content,
+      { scale: 0.5 },
+      applyOptionsOf(1600, 4000)
+    )
+
+    // 滚动到设计稿的 y=1000 处
+    container.scrollTop = 500
+
+    // 设计宽度变化导致缩放比例变为1，滚动位置应保持在设计稿的 y=1000 处
+    scaler.setDesignSize(800, 4000)
+    expect(scaler.currentScale).toBe(1)
+    expect(container.scrollTop).toBe(1000)
+  })
+
+  it('应该在设置了insets时按设计稿坐标保持滚动位置', () => {
+    let scrollTop = 0
+    Object.defineProperty(container, 'scrollTop', {
+      get: () => scrollTop,
+      set: (value) => (scrollTop = value),
+    })
+    // 模式将内容放置在可用区域的起点
+    modes.getModeDefinition(MODES.WIDTH).apply.mockImplementation((box, element, result, opts) => {
+      element.style.top = `${opts.area.top}px`
+    })
+
+    options.insets = { top: 100 }
+    scaler.setElements(container, content)
+    scaler.currentMode = MODES.WIDTH
+    scaler.setDesignSize(1600, 4000)
+    expect(scaler.currentScale).toBe(0.5)
+
+    // 滚动到设计稿的 y=1000 处
+    container.scrollTop = 600
+    scaler.setDesignSize(800, 4000)
+    expect(scaler.currentScale).toBe(1)
+    expect(container.scrollTop).toBe(1100)
+
+    // 滚动位置在 insets 留出的区域内时保持原来的像素距离
+    container.scrollTop = 50
+    scaler.setDesignSize(1600, 4000)
+    expect(container.scrollTop).toBe(50)
+    delete options.insets
+  })
+
+  it('应该在离开滚动模式时重置滚动位置', () => {
+    let scrollTop = 0
+    Object.defineProperty(container, 'scrollTop', {
+      get: () => scrollTop,
+      set: (value) => (scrollTop = value),
+    })
+
+    scaler.setElements(container, content)
+    scaler.currentMode = MODES.WIDTH
+    container.scrollTop = 300
+    expect(container.scrollTop).toBe(300)
+
+    scaler.setMode(MODES.PROPORTIONAL)
+
+    expect(container.scrollTop).toBe(0)
+  })
+
+  it('应该使用自定义模式计算和应用缩放', () => {
+    const definition = {
+      calculate: vi.fn().mockReturnValue(0.25),
+      apply: vi.fn(),
+    }
+    modes.registerMode('custom', definition)
+
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+    scaler.currentMode = 'custom'
+    scaler.applyScaling()
+
+    expect(definition.calculate).toHaveBeenCalledWith(
+      expect.objectContaining({ width: 800, height: 600 }),
+      { width: 1920, height: 1080 },
+      options
+    )
+    expect(definition.apply).toHaveBeenCalledWith(
+      container,
+      content,
+      { scale: 0.25 },
+      applyOptionsOf(1920, 1080)
+    )
+    expect(scaler.getScale()).toBe(0.25)
+  })
+
+  it('应该在宽度适配模式中只处理被限制的水平方向', () => {
+    modes.getModeDefinition(MODES.WIDTH).apply.mockRestore()
+    const reportScaler = new Scaler({ mode: MODES.WIDTH, minScale: 0.8, overflow: 'center' })
+    reportScaler.setElements(container, content)
+
+    // 长报表按宽度缩放 0.5，被限制到 0.8 后宽 1280、高 2400
+    reportScaler.setDesignSize(1600, 3000)
+
+    expect(reportScaler.clampState).toBe('min')
+    expect(container.style.overflowX).toBe('hidden')
+    expect(content.style.left).toBe('-240px')
+
+    // 垂直方向保持模式的滚动，从顶部开始排布
+    expect(container.style.overflowY).toBe('auto')
+    expect(content.style.top).toBe('0px')
+  })
+
+  it('应该按最小和最大缩放比例限制缩放', () => {
+    const overflowSpy = vi.spyOn(modes, 'applyOverflow').mockImplementation(() => {})
+    scaler.setElements(container, content)
+
+    // 低于最小缩放比例
+    options.minScale = 0.8
+    options.overflow = 'center'
+    scaler.setDesignSize(1920, 1080)
+
+    expect(scaler.getScale()).toBe(0.8)
+    expect(scaler.getRawScale()).toBe(0.5)
+    expect(scaler.clampState).toBe('min')
+    expect(overflowSpy).toHaveBeenCalledWith(container, content, 0.8, 0.8, {
+      ...applyOptionsOf(1920, 1080),
+      scrollAxis: null,
+    })
+    expect(options.onResize).toHaveBeenLastCalledWith(800, 600, 0.8, null, {
+      raw: 0.5,
+      scale: 0.8,
+      clamped: 'min',
+      reason: 'refresh',
+    })
+
+    // 高于最大缩放比例
+    delete options.minScale
+    options.maxScale = 0.4
+    scaler.refresh()
+
+    expect(scaler.getScale()).toBe(0.4)
+    expect(scaler.clampState).toBe('max')
+
+    // 未被限制时不处理溢出
+    overflowSpy.mockClear()
+    delete options.maxScale
+    scaler.refresh()
+
+    expect(scaler.getScale()).toBe(0.5)
+    expect(scaler.clampState).toBeNull()
+    expect(overflowSpy).not.toHaveBeenCalled()
+  })
+
+  it('应该在全屏填充模式下分别限制X和Y方向的缩放比例', () => {
+    options.maxScale = 0.5
+    scaler.setElements(container, content)
+    scaler.currentMode = MODES.FULLSCREEN
+    scaler.setDesignSize(800, 1200)
+
+    // 原始比例 scaleX=1, scaleY=0.5
+    expect(scaler.currentScaleX).toBe(0.5)
+    expect(scaler.currentScaleY).toBe(0.5)
+    expect(scaler.clampState).toBe('max')
   })
 
   it('应该在没有元素时不应用样式', () => {
     scaler.applyScaling()
 
-    expect(modes.applyProportionalMode).not.toHaveBeenCalled()
-    expect(modes.applyFullscreenMode).not.toHaveBeenCalled()
+    expect(modes.getModeDefinition(MODES.PROPORTIONAL).apply).not.toHaveBeenCalled()
+    expect(modes.getModeDefinition(MODES.FULLSCREEN).apply).not.toHaveBeenCalled()
     expect(options.onResize).not.toHaveBeenCalled()
   })
 
@@ -173,4 +797,227 @@ describe('Scaler', () => {
     expect(applyScalingSpy).toHaveBeenCalled()
     expect(scaler.isInitialized).toBe(true)
   })
+
+  it('应该在区域布局中放置固定区域并在剩余区域内缩放适配区域', () => {
+    container.innerHTML = `
+      <div class="header"></div>
+      <div class="nav"></div>
+      <div class="stage"></div>
+    `
+    const stage = container.querySelector('.stage')
+    scaler.setElements(container, null)
+    scaler.setRegions({
+      header: { selector: '.header', fixed: true, dock: 'top', size: 60 },
+      nav: { selector: '.nav', fixed: true, dock: 'left', size: 320 },
+      stage: { selector: '.stage', width: 1600, height: 900 },
+    })
+
+    const nav = container.querySelector('.nav')
+    expect(nav.style.position).toBe('absolute')
+    expect(nav.style.left).toBe('0px')
+    expect(nav.style.top).toBe('60px')
+    expect(nav.style.width).toBe('320px')
+    expect(nav.style.height).toBe('540px')
+
+    const region = scaler.getRegion('stage')
+    expect(region).toBeInstanceOf(Scaler)
+    expect(region.designSize).toEqual({ width: 1600, height: 900 })
+    expect(scaler.getRegion('nav')).toBeNull()
+    expect(modes.getModeDefinition(MODES.PROPORTIONAL).apply).toHaveBeenCalledWith(
+      container,
+      stage,
+      { scale: 0.5 },
+      expect.objectContaining({ area: { left: 320, top: 60, width: 480, height: 540 } })
+    )
+
+    // 主区域的缩放比例作为整体的缩放比例，回调只触发一次
+    expect(scaler.getScale()).toBe(0.5)
+    expect(options.onResize).toHaveBeenCalledTimes(1)
+    expect(options.onResize).toHaveBeenCalledWith(800, 600, 0.5, null, {
+      raw: 0.5,
+      scale: 0.5,
+      clamped: null,
+      reason: 'refresh',
+    })
+  })
+
+  it('应该在区域布局中按主区域触发缩放前回调', () => {
+    container.innerHTML = '<div class="nav"></div><div class="stage"></div>'
+    const stage = container.querySelector('.stage')
+    options.onBeforeResize = vi.fn((info) => {
+      info.scale = 0.4
+    })
+    scaler.setElements(container, null)
+    scaler.setRegions({
+      nav: { selector: '.nav', fixed: true, dock: 'left', size: 320 },
+      stage: { selector: '.stage', width: 1600, height: 900 },
+    })
+
+    expect(options.onBeforeResize).toHaveBeenCalledTimes(1)
+    expect(options.onBeforeResize).toHaveBeenCalledWith(
+      expect.objectContaining({ width: 800, height: 600, raw: 0.5, reason: 'refresh' })
+    )
+    expect(scaler.getScale()).toBe(0.4)
+    expect(scaler.getRegion('stage').getScale()).toBe(0.4)
+    expect(modes.getModeDefinition(MODES.PROPORTIONAL).apply).toHaveBeenLastCalledWith(
+      container,
+      stage,
+      { scale: 0.4 },
+      expect.anything()
+    )
+
+    // 取消时不更新区域，保持之前的缩放比例
+    modes.getModeDefinition(MODES.PROPORTIONAL).apply.mockClear()
+    options.onResize.mockClear()
+    options.onBeforeResize.mockReturnValue(false)
+    scaler.refresh('window')
+
+    expect(modes.getModeDefinition(MODES.PROPORTIONAL).apply).not.toHaveBeenCalled()
+    expect(options.onResize).not.toHaveBeenCalled()
+    expect(scaler.getScale()).toBe(0.4)
+    expect(scaler.getRegion('stage').getScale()).toBe(0.4)
+    delete options.onBeforeResize
+  })
+
+  it('应该让没有指定模式的适配区域跟随当前模式', () => {
+    container.innerHTML = '<div class="main"></div><div class="side"></div>'
+    scaler.setElements(container, null)
+    scaler.setRegions({
+      side: { selector: '.side', dock: 'right', size: '25%', mode: MODES.COVER },
+      main: { selector: '.main', width: 1600, height: 900 },
+    })
+
+    scaler.setMode(MODES.FULLSCREEN)
+
+    expect(scaler.getRegion('main').getMode()).toBe(MODES.FULLSCREEN)
+    expect(scaler.getRegion('side').getMode()).toBe(MODES.COVER)
+  })
+
+  it('应该在销毁时销毁区域的缩放器', () => {
+    container.innerHTML = '<div class="stage"></div>'
+    scaler.setElements(container, null)
+    scaler.setRegions({ stage: { selector: '.stage', width: 1600, height: 900 } })
+
+    const destroySpy = vi.spyOn(scaler.getRegion('stage'), 'destroy')
+    scaler.destroy()
+
+    expect(destroySpy).toHaveBeenCalled()
+    expect(scaler.regions).toEqual([])
+  })
+
+  it('应该在区域布局中拒绝rem策略并在取消区域布局后恢复', () => {
+    console.error = vi.fn()
+    container.innerHTML = '<div class="stage"></div>'
+    const remScaler = new Scaler({ strategy: 'rem' })
+    remScaler.setElements(container, null)
+    expect(remScaler.getStrategy()).toBe('rem')
+
+    remScaler.setRegions({ stage: { selector: '.stage', width: 1600, height: 900 } })
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('区域布局不支持 rem 策略'))
+    expect(remScaler.getStrategy()).toBe('transform')
+    expect(remScaler.getRegion('stage').getStrategy()).toBe('transform')
+
+    // 区域布局期间其他实例可以使用 rem 策略
+    const other = new Scaler({ strategy: 'rem' })
+    other.setElements(container, content)
+    expect(other.getStrategy()).toBe('rem')
+    other.destroy()
+
+    remScaler.setRegions(null)
+    expect(remScaler.getStrategy()).toBe('rem')
+    remScaler.destroy()
+  })
+
+  it('应该在取消区域布局时恢复区域元素原来的内联样式', () => {
+    container.innerHTML = '<div class="nav" style="color: red;"></div><div class="stage"></div>'
+    scaler.setElements(container, null)
+    scaler.setRegions({
+      nav: { selector: '.nav', fixed: true, dock: 'left', size: 320 },
+      stage: { selector: '.stage', width: 1600, height: 900 },
+    })
+
+    scaler.destroy()
+
+    expect(container.querySelector('.nav').getAttribute('style')).toBe('color: red;')
+    expect(container.querySelector('.stage').hasAttribute('style')).toBe(false)
+  })
+
+  it('应该在尺寸变化回调中附带刷新的原因', () => {
+    scaler.setElements(container, content)
+    scaler.designSize = { width: 1920, height: 1080 }
+
+    scaler.refresh('orientation')
+    expect(options.onResize).toHaveBeenLastCalledWith(
+      800,
+      600,
+      0.5,
+      null,
+      expect.objectContaining({ reason: 'orientation' })
+    )
+
+    scaler.refresh()
+    expect(options.onResize).toHaveBeenLastCalledWith(
+      800,
+      600,
+      0.5,
+      null,
+      expect.objectContaining({ reason: 'refresh' })
+    )
+  })
+
+  it('应该在缩放前回调返回false时取消本次缩放', () => {
+    options.onBeforeResize = vi.fn().mockReturnValue(false)
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+
+    expect(options.onBeforeResize).toHaveBeenCalledWith(
+      expect.objectContaining({ scale: 0.5, raw: 0.5, reason: 'refresh' })
+    )
+    expect(modes.getModeDefinition(MODES.PROPORTIONAL).apply).not.toHaveBeenCalled()
+    expect(options.onResize).not.toHaveBeenCalled()
+    expect(scaler.getScale()).toBe(1)
+  })
+
+  it('应该使用缩放前回调修改后的缩放比例', () => {
+    options.onBeforeResize = (info) => {
+      info.scale = 0.25
+    }
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+
+    expect(scaler.getScale()).toBe(0.25)
+    expect(scaler.currentScaleX).toBe(0.25)
+    expect(modes.getModeDefinition(MODES.PROPORTIONAL).apply).toHaveBeenCalledWith(
+      container,
+      content,
+      { scale: 0.25 },
+      applyOptionsOf(1920, 1080)
+    )
+  })
+
+  it('应该只在缩放比例变化时触发缩放比例变化回调', () => {
+    options.onScaleChange = vi.fn()
+    scaler.setElements(container, content)
+    scaler.setDesignSize(1920, 1080)
+
+    expect(options.onScaleChange).toHaveBeenCalledWith({
+      scale: 0.5,
+      scaleX: 0.5,
+      scaleY: 0.5,
+      previousScale: 1,
+    })
+
+    scaler.refresh()
+    expect(options.onScaleChange).toHaveBeenCalledTimes(1)
+  })
+
+  it('应该在设计尺寸变化时触发回调', () => {
+    options.onDesignSizeChange = vi.fn()
+    scaler.setDesignSize(1920, 1080)
+    scaler.setDesignSize(1920, 1080)
+
+    expect(options.onDesignSizeChange).toHaveBeenCalledTimes(1)
+    expect(options.onDesignSizeChange).toHaveBeenCalledWith({ width: 1920, height: 1080 })
+  })
 })
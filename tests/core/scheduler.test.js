@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  scheduleFrame,
+  cancelFrame,
+  createResizeScheduler,
+  validateResizeStrategy,
+  RESIZE_STRATEGIES,
+} from '../../src/core/scheduler'
+
+describe('scheduler', () => {
+  let frames
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+
+    // 模拟 requestAnimationFrame，手动执行帧
+    frames = []
+    window.requestAnimationFrame = vi.fn().mockImplementation((callback) => {
+      frames.push(callback)
+      return frames.length
+    })
+    window.cancelAnimationFrame = vi.fn()
+  })
+
+  afterEach(() => {
+    delete window.requestAnimationFrame
+    delete window.cancelAnimationFrame
+    vi.useRealTimers()
+  })
+
+  const runFrame = () => frames.shift()()
+
+  it('应该验证调度方式', () => {
+    expect(validateResizeStrategy('THROTTLE')).toBe(RESIZE_STRATEGIES.THROTTLE)
+    expect(validateResizeStrategy('debounce')).toBe(RESIZE_STRATEGIES.DEBOUNCE)
+    expect(validateResizeStrategy('invalid')).toBe(RESIZE_STRATEGIES.RAF)
+    expect(validateResizeStrategy()).toBe(RESIZE_STRATEGIES.RAF)
+  })
+
+  it('应该将多个对象的任务合并到同一帧，同一对象只执行最后一次', () => {
+    const first = {}
+    const second = {}
+    const tasks = [vi.fn(), vi.fn(), vi.fn()]
+
+    scheduleFrame(first, tasks[0])
+    scheduleFrame(second, tasks[1])
+    scheduleFrame(first, tasks[2])
+
+    expect(window.requestAnimationFrame).toHaveBeenCalledTimes(1)
+    runFrame()
+
+    expect(tasks[0]).not.toHaveBeenCalled()
+    expect(tasks[1]).toHaveBeenCalledTimes(1)
+    expect(tasks[2]).toHaveBeenCalledTimes(1)
+  })
+
+  it('应该在本帧执行执行过程中新安排的任务', () => {
+    const group = {}
+    const groupTask = vi.fn()
+    const repeatedTask = vi.fn()
+    const instance = {}
+
+    scheduleFrame(instance, () => {
+      scheduleFrame(group, groupTask)
+      // 本帧已执行过的对象再次安排的任务留到下一帧
+      scheduleFrame(instance, repeatedTask)
+    })
+    runFrame()
+
+    expect(groupTask).toHaveBeenCalledTimes(1)
+    expect(repeatedTask).not.toHaveBeenCalled()
+    expect(frames).toHaveLength(1)
+
+    runFrame()
+    expect(repeatedTask).toHaveBeenCalledTimes(1)
+  })
+
+  it('应该在任务出错时继续执行其他任务', () => {
+    console.error = vi.fn()
+    const task = vi.fn()
+
+    scheduleFrame({}, () => {
+      throw new Error('failed')
+    })
+    scheduleFrame({}, task)
+    runFrame()
+
+    expect(task).toHaveBeenCalled()
+    expect(console.error).toHaveBeenCalledWith('[FitScreenJS] 刷新出错:', expect.any(Error))
+  })
+
+  it('应该取消等待执行的任务，没有任务时取消帧', () => {
+    const owner = {}
+    scheduleFrame(owner, vi.fn())
+    cancelFrame(owner)
+
+    expect(window.cancelAnimationFrame).toHaveBeenCalledWith(1)
+
+    // 取消后可以重新请求帧
+    scheduleFrame(owner, vi.fn())
+    expect(window.requestAnimationFrame).toHaveBeenCalledTimes(2)
+    cancelFrame(owner)
+  })
+
+  it('应该默认在下一帧刷新，并传入最后一次变化的原因', () => {
+    const callback = vi.fn()
+    const handler = createResizeScheduler({}, callback)
+
+    handler('container')
+    handler('window')
+    expect(callback).not.toHaveBeenCalled()
+
+    runFrame()
+    expect(callback).toHaveBeenCalledTimes(1)
+    expect(callback).toHaveBeenCalledWith('window')
+  })
+
+  it('应该支持防抖后在下一帧刷新', () => {
+    const callback = vi.fn()
+    const handler = createResizeScheduler({}, callback, RESIZE_STRATEGIES.DEBOUNCE, 200)
+
+    handler('window')
+    vi.advanceTimersByTime(100)
+    handler('window')
+    vi.advanceTimersByTime(100)
+    expect(frames).toHaveLength(0)
+
+    vi.advanceTimersByTime(100)
+    runFrame()
+    expect(callback).toHaveBeenCalledTimes(1)
+  })
+
+  it('应该支持节流后在下一帧刷新', () => {
+    const callback = vi.fn()
+    const handler = createResizeScheduler({}, callback, RESIZE_STRATEGIES.THROTTLE, 100)
+
+    handler('window')
+    runFrame()
+    expect(callback).toHaveBeenCalledTimes(1)
+
+    handler('window')
+    handler('dpr')
+    expect(frames).toHaveLength(0)
+
+    vi.advanceTimersByTime(100)
+    runFrame()
+    expect(callback).toHaveBeenCalledTimes(2)
+    expect(callback).toHaveBeenLastCalledWith('dpr')
+  })
+})
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  STRATEGIES,
+  resolveStrategy,
+  applyStrategyScale,
+  applyStrategyPosition,
+  readStrategyPosition,
+  acquireRemStrategy,
+  releaseRemStrategy,
+  saveCounterScale,
+  applyCounterScale,
+} from '../../src/core/strategies'
+
+describe('resolveStrategy', () => {
+  afterEach(() => {
+    delete document.documentElement.style.zoom
+  })
+
+  it('默认应该使用transform', () => {
+    expect(resolveStrategy()).toBe(STRATEGIES.TRANSFORM)
+    expect(resolveStrategy('invalid')).toBe(STRATEGIES.TRANSFORM)
+    expect(resolveStrategy('Reflow')).toBe(STRATEGIES.REFLOW)
+  })
+
+  it('应该在不支持zoom时回退到transform', () => {
+    expect(resolveStrategy('zoom')).toBe(STRATEGIES.TRANSFORM)
+
+    document.documentElement.style.zoom = ''
+    expect(resolveStrategy('zoom')).toBe(STRATEGIES.ZOOM)
+  })
+})
+
+describe('applyStrategyScale', () => {
+  let content
+  const options = { designSize: { width: 1600, height: 900 } }
+
+  beforeEach(() => {
+    content = document.createElement('div')
+    document.documentElement.style.zoom = ''
+  })
+
+  afterEach(() => {
+    delete document.documentElement.style.zoom
+  })
+
+  it('transform策略应该使用scale缩放', () => {
+    applyStrategyScale(content, 0.5, 0.5, options)
+
+    expect(content.style.transform).toBe('scale(0.5)')
+    expect(content.style.transformOrigin).toBe('top left')
+    expect(content.style.width).toBe('1600px')
+    expect(content.style.height).toBe('900px')
+
+    applyStrategyScale(content, 0.5, 0.25, options)
+    expect(content.style.transform).toBe('scaleX(0.5) scaleY(0.25)')
+  })
+
+  it('zoom策略应该使用zoom缩放，非等比缩放时回退到transform', () => {
+    applyStrategyScale(content, 0.5, 0.5, { ...options, strategy: 'zoom' })
+
+    expect(content.style.zoom).toBe('0.5')
+    expect(content.style.transform).toBe('none')
+
+    applyStrategyScale(content, 0.5, 0.25, { ...options, strategy: 'zoom' })
+    expect(content.style.zoom).toBe('')
+    expect(content.style.transform).toBe('scaleX(0.5) scaleY(0.25)')
+  })
+
+  it('reflow策略应该直接设置缩放后的宽高', () => {
+    applyStrategyScale(content, 0.5, 0.5, { ...options, strategy: 'reflow' })
+
+    expect(content.style.transform).toBe('none')
+    expect(content.style.width).toBe('800px')
+    expect(content.style.height).toBe('450px')
+  })
+})
+
+describe('rem策略', () => {
+  const owner = {}
+
+  afterEach(() => {
+    releaseRemStrategy(owner)
+    document.documentElement.style.fontSize = ''
+  })
+
+  it('应该通过根元素的font-size缩放内容', () => {
+    const content = document.createElement('div')
+    acquireRemStrategy(owner)
+
+    applyStrategyScale(content, 0.5, 0.5, {
+      designSize: { width: 1600, height: 900 },
+      strategy: 'rem',
+    })
+
+    expect(document.documentElement.style.fontSize).toBe('50px')
+    expect(content.style.width).toBe('16rem')
+    expect(content.style.height).toBe('9rem')
+    expect(content.style.transform).toBe('none')
+  })
+
+  it('应该支持自定义设计基准', () => {
+    const content = document.createElement('div')
+
+    applyStrategyScale(content, 2, 2, {
+      designSize: { width: 1600, height: 900 },
+      strategy: 'rem',
+      remBase: 16,
+    })
+
+    expect(document.documentElement.style.fontSize).toBe('32px')
+    expect(content.style.width).toBe('100rem')
+  })
+
+  it('应该在释放时恢复原来的font-size', () => {
+    document.documentElement.style.fontSize = '14px'
+
+    expect(acquireRemStrategy(owner)).toBe(true)
+    expect(acquireRemStrategy({})).toBe(false)
+
+    document.documentElement.style.fontSize = '40px'
+    releaseRemStrategy(owner)
+
+    expect(document.documentElement.style.fontSize).toBe('14px')
+
+    const other = {}
+    expect(acquireRemStrategy(other)).toBe(true)
+    releaseRemStrategy(other)
+  })
+})
+
+describe('applyStrategyPosition / readStrategyPosition', () => {
+  it('应该在zoom下换算元素自身的位置', () => {
+    const content = document.createElement('div')
+    content.style.zoom = '0.5'
+
+    applyStrategyPosition(content, 100, 40)
+
+    expect(content.style.left).toBe('200px')
+    expect(content.style.top).toBe('80px')
+    expect(readStrategyPosition(content)).toEqual({ x: 100, y: 40 })
+  })
+
+  it('应该直接设置未缩放元素的位置', () => {
+    const content = document.createElement('div')
+
+    applyStrategyPosition(content, 100, 40)
+
+    expect(content.style.left).toBe('100px')
+    expect(readStrategyPosition(content)).toEqual({ x: 100, y: 40 })
+  })
+})
+
+describe('applyCounterScale', () => {
+  let element, original
+
+  beforeEach(() => {
+    element = document.createElement('div')
+    element.setAttribute('data-fitscreen-no-scale', '')
+    original = saveCounterScale(element)
+  })
+
+  it('应该以锚点为原点反向缩放', () => {
+    applyCounterScale(element, 0.5, 0.25, STRATEGIES.TRANSFORM, original)
+
+    expect(element.style.transform).toBe('scale(2, 4)')
+    expect(element.style.transformOrigin).toBe('top left')
+  })
+
+  it('应该在zoom策略下使用zoom反向缩放', () => {
+    applyCounterScale(element, 0.5, 0.5, STRATEGIES.ZOOM, original)
+
+    expect(element.style.zoom).toBe('2')
+    expect(element.style.transform).toBe('')
+  })
+
+  it('应该在reflow策略下不做处理', () => {
+    applyCounterScale(element, 0.5, 0.5, STRATEGIES.REFLOW, original)
+    expect(element.style.transform).toBe('')
+  })
+
+  it('应该在rem策略下用transform抵消根元素font-size的缩放', () => {
+    element.setAttribute('data-fitscreen-no-scale', 'bottom center')
+    applyCounterScale(element, 0.5, 0.5, STRATEGIES.REM, original)
+
+    expect(element.style.transform).toBe('scale(2, 2)')
+    expect(element.style.transformOrigin).toBe('bottom center')
+  })
+})
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  normalizeTile,
+  readTileParams,
+  getTileRect,
+  resolveBezel,
+  TILE_PARAMS,
+} from '../../src/core/tile'
+
+describe('tile', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('应该从URL参数读取分块配置', () => {
+    expect(readTileParams('?tileCols=2&tileRows=2&tileCol=1&tileRow=0')).toEqual({
+      cols: 2,
+      rows: 2,
+      col: 1,
+      row: 0,
+    })
+    expect(readTileParams('?tileCol=1&other=3')).toEqual({ col: 1 })
+    expect(TILE_PARAMS.col).toBe('tileCol')
+  })
+
+  it('应该规范化分块配置并以URL参数优先', () => {
+    expect(normalizeTile({ cols: 2, rows: 2 }, '')).toEqual({ cols: 2, rows: 2, col: 0, row: 0 })
+    expect(normalizeTile({ cols: 2, rows: 2, col: 0 }, '?tileCol=1&tileRow=1')).toEqual({
+      cols: 2,
+      rows: 2,
+      col: 1,
+      row: 1,
+    })
+    expect(normalizeTile(true, '?tileCols=4&tileCol=3')).toEqual({
+      cols: 4,
+      rows: 1,
+      col: 3,
+      row: 0,
+    })
+  })
+
+  it('应该在未启用分块时返回null', () => {
+    expect(normalizeTile(null, '?tileCol=1')).toBeNull()
+    expect(normalizeTile(false, '')).toBeNull()
+  })
+
+  it('应该在分块配置无效时报错', () => {
+    console.error = vi.fn()
+
+    expect(normalizeTile({ cols: 2, rows: 2, col: 2 }, '')).toBeNull()
+    expect(normalizeTile(true, '?tileCols=abc')).toBeNull()
+    expect(console.error).toHaveBeenCalledTimes(2)
+  })
+
+  it('应该计算分块在设计稿中的矩形', () => {
+    const tile = { cols: 2, rows: 2, col: 1, row: 1 }
+    expect(getTileRect(tile, { width: 7680, height: 4320 })).toEqual({
+      x: 3840,
+      y: 2160,
+      width: 3840,
+      height: 2160,
+    })
+  })
+
+  it('应该解析像素和毫米的边框宽度', () => {
+    expect(resolveBezel({ horizontal: 10, vertical: '8px' })).toEqual({
+      horizontal: 10,
+      vertical: 8,
+    })
+    expect(resolveBezel({ horizontal: '25.4mm', vertical: '12.7mm', dpi: 100 })).toEqual({
+      horizontal: 100,
+      vertical: 50,
+    })
+    expect(resolveBezel(null)).toEqual({ horizontal: 0, vertical: 0 })
+  })
+
+  it('应该在边框宽度无效时报错并忽略', () => {
+    console.error = vi.fn()
+
+    expect(resolveBezel({ horizontal: '1in' }).horizontal).toBe(0)
+    expect(console.error).toHaveBeenCalledWith('[FitScreenJS] 无效的边框宽度:', '1in')
+  })
+
+  it('应该跳过边框后面的设计稿区域', () => {
+    const tile = { cols: 2, rows: 1, col: 1, row: 0 }
+    const rect = getTileRect(tile, { width: 4200, height: 1000 }, { x: 0.1, y: 0 })
+
+    // 两个分块加一个边框铺满设计稿宽度
+    expect(rect.width).toBeCloseTo(2000)
+    expect(rect.x).toBeCloseTo(2200)
+    expect(rect.height).toBe(1000)
+  })
+})
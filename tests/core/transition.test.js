@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { Transition, prefersReducedMotion, DEFAULT_TRANSITION } from '../../src/core/transition'
+
+describe('Transition', () => {
+  let content, scaler, reducedMotion
+
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="content"></div>`
+    content = document.getElementById('content')
+
+    scaler = {
+      currentScale: 1,
+      currentScaleX: 1,
+      currentScaleY: 1,
+      strategy: 'transform',
+      getOffset: () => ({ x: 0, y: 0 }),
+      getStrategy() {
+        return this.strategy
+      },
+    }
+
+    // 模拟 prefers-reduced-motion
+    reducedMotion = false
+    window.matchMedia = vi.fn().mockImplementation(() => ({ matches: reducedMotion }))
+  })
+
+  afterEach(() => {
+    delete window.matchMedia
+  })
+
+  it('应该检测减少动态效果的设置', () => {
+    expect(prefersReducedMotion()).toBe(false)
+    reducedMotion = true
+    expect(prefersReducedMotion()).toBe(true)
+    expect(window.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)')
+  })
+
+  it('应该在首次缩放后才开启过渡', () => {
+    const transition = new Transition({ duration: 500, easing: 'linear' })
+    transition.mount(content)
+
+    transition.update(scaler)
+    expect(content.style.transition).toBe('')
+
+    scaler.currentScale = 0.5
+    transition.update(scaler)
+    expect(content.style.transition).toContain('transform 500ms linear')
+    expect(content.style.transition).toContain('left 500ms linear')
+    expect(transition.isRunning).toBe(true)
+  })
+
+  it('应该使用默认的过渡配置', () => {
+    const transition = new Transition(true)
+
+    expect(transition.duration).toBe(DEFAULT_TRANSITION.DURATION)
+    expect(transition.easing).toBe(DEFAULT_TRANSITION.EASING)
+  })
+
+  it('应该在减少动态效果时不使用过渡并立即结束', () => {
+    const onEnd = vi.fn()
+    const transition = new Transition({}, onEnd)
+    transition.mount(content)
+    transition.update(scaler)
+
+    reducedMotion = true
+    scaler.currentScale = 0.5
+    transition.update(scaler)
+
+    expect(content.style.transition).toBe('')
+    expect(transition.isRunning).toBe(false)
+    expect(onEnd).toHaveBeenCalledTimes(1)
+    expect(onEnd).toHaveBeenCalledWith({ scale: 0.5, scaleX: 1, scaleY: 1 })
+
+    // 缩放状态未变化时不触发
+    transition.update(scaler)
+    expect(onEnd).toHaveBeenCalledTimes(1)
+  })
+
+  it('应该在时长为0时立即结束', () => {
+    const onEnd = vi.fn()
+    const transition = new Transition({ duration: 0 }, onEnd)
+    transition.mount(content)
+    transition.update(scaler)
+
+    scaler.currentScale = 0.5
+    transition.update(scaler)
+
+    expect(content.style.transition).toBe('')
+    expect(onEnd).toHaveBeenCalledTimes(1)
+  })
+
+  it('应该在rem策略下不使用过渡并立即结束', () => {
+    const onEnd = vi.fn()
+    const transition = new Transition({}, onEnd)
+    transition.mount(content)
+    scaler.strategy = 'rem'
+    transition.update(scaler)
+
+    scaler.currentScale = 0.5
+    transition.update(scaler)
+
+    expect(content.style.transition).toBe('')
+    expect(transition.isRunning).toBe(false)
+    expect(onEnd).toHaveBeenCalledTimes(1)
+
+    // 之后的 transitionend 事件不再重复回调
+    content.dispatchEvent(new Event('transitionend'))
+    expect(onEnd).toHaveBeenCalledTimes(1)
+  })
+
+  it('应该在过渡结束时只回调一次', () => {
+    const onEnd = vi.fn()
+    const transition = new Transition({}, onEnd)
+    transition.mount(content)
+    transition.update(scaler)
+
+    scaler.currentScale = 0.5
+    scaler.currentScaleX = 0.5
+    scaler.currentScaleY = 0.4
+    transition.update(scaler)
+
+    content.dispatchEvent(new Event('transitionend'))
+    content.dispatchEvent(new Event('transitionend'))
+
+    expect(onEnd).toHaveBeenCalledTimes(1)
+    expect(onEnd).toHaveBeenCalledWith({ scale: 0.5, scaleX: 0.5, scaleY: 0.4 })
+  })
+
+  it('应该在销毁时移除过渡样式和事件监听', () => {
+    const onEnd = vi.fn()
+    const transition = new Transition({}, onEnd)
+    transition.mount(content)
+    transition.update(scaler)
+    scaler.currentScale = 0.5
+    transition.update(scaler)
+
+    transition.destroy()
+    content.dispatchEvent(new Event('transitionend'))
+
+    expect(content.style.transition).toBe('')
+    expect(onEnd).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,197 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  ResizeWatcher,
+  OBSERVE_TARGETS,
+  RESIZE_REASONS,
+  validateObserve,
+  isResizeObserverSupported,
+} from '../../src/core/watcher'
+
+describe('ResizeWatcher', () => {
+  let container, callback, observers
+
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="container"></div>`
+    container = document.getElementById('container')
+    callback = vi.fn()
+
+    vi.spyOn(window, 'addEventListener')
+    vi.spyOn(window, 'removeEventListener')
+
+    // 模拟 ResizeObserver
+    observers = []
+    window.ResizeObserver = vi.fn().mockImplementation((handler) => {
+      const observer = { handler, observe: vi.fn(), disconnect: vi.fn() }
+      observers.push(observer)
+      return observer
+    })
+  })
+
+  afterEach(() => {
+    delete window.ResizeObserver
+    vi.restoreAllMocks()
+  })
+
+  it('应该验证尺寸变化来源', () => {
+    expect(validateObserve('WINDOW')).toBe(OBSERVE_TARGETS.WINDOW)
+    expect(validateObserve('manual')).toBe(OBSERVE_TARGETS.MANUAL)
+    expect(validateObserve('invalid')).toBe(OBSERVE_TARGETS.CONTAINER)
+    expect(validateObserve()).toBe(OBSERVE_TARGETS.CONTAINER)
+  })
+
+  it('应该默认使用 ResizeObserver 监听容器', () => {
+    const watcher = new ResizeWatcher(callback)
+    watcher.watch(container)
+
+    expect(observers).toHaveLength(1)
+    expect(observers[0].observe).toHaveBeenCalledWith(container)
+    expect(window.addEventListener).not.toHaveBeenCalledWith('resize', expect.any(Function))
+
+    observers[0].handler()
+    expect(callback).toHaveBeenCalledWith(RESIZE_REASONS.CONTAINER)
+  })
+
+  it('应该在不支持 ResizeObserver 时回退到窗口 resize 事件', () => {
+    delete window.ResizeObserver
+    expect(isResizeObserverSupported()).toBe(false)
+
+    const watcher = new ResizeWatcher(callback)
+    watcher.watch(container, OBSERVE_TARGETS.CONTAINER)
+
+    expect(window.addEventListener).toHaveBeenCalledWith('resize', watcher.handleResize)
+  })
+
+  it('应该支持同时监听容器和窗口', () => {
+    const watcher = new ResizeWatcher(callback)
+    watcher.watch(container, OBSERVE_TARGETS.BOTH)
+
+    expect(observers[0].observe).toHaveBeenCalledWith(container)
+    expect(window.addEventListener).toHaveBeenCalledWith('resize', watcher.handleResize)
+
+    window.dispatchEvent(new Event('resize'))
+    expect(callback).toHaveBeenCalledTimes(1)
+    expect(callback).toHaveBeenCalledWith(RESIZE_REASONS.WINDOW)
+  })
+
+  it('应该在手动模式下不监听任何尺寸变化', () => {
+    const watcher = new ResizeWatcher(callback)
+    watcher.watch(container, OBSERVE_TARGETS.MANUAL)
+
+    expect(observers).toHaveLength(0)
+    expect(window.addEventListener).not.toHaveBeenCalledWith('resize', expect.any(Function))
+  })
+
+  it('应该在停止监听时断开 ResizeObserver 并移除窗口事件', () => {
+    const watcher = new ResizeWatcher(callback)
+    watcher.watch(container, OBSERVE_TARGETS.BOTH)
+    watcher.unwatch()
+
+    expect(observers[0].disconnect).toHaveBeenCalled()
+    expect(window.removeEventListener).toHaveBeenCalledWith('resize', watcher.handleResize)
+    expect(watcher.observer).toBeNull()
+  })
+
+  it('应该在重新监听时停止之前的监听', () => {
+    const watcher = new ResizeWatcher(callback)
+    watcher.watch(container, OBSERVE_TARGETS.CONTAINER)
+    watcher.watch(container, OBSERVE_TARGETS.WINDOW)
+
+    expect(observers[0].disconnect).toHaveBeenCalled()
+    expect(watcher.observer).toBeNull()
+    expect(window.addEventListener).toHaveBeenCalledWith('resize', watcher.handleResize)
+  })
+
+  describe('设备环境变化', () => {
+    let mediaQueries, visualViewport
+
+    beforeEach(() => {
+      // 模拟 matchMedia
+      mediaQueries = []
+      window.matchMedia = vi.fn().mockImplementation((media) => {
+        const query = { media, addEventListener: vi.fn(), removeEventListener: vi.fn() }
+        mediaQueries.push(query)
+        return query
+      })
+
+      // 模拟 visualViewport
+      visualViewport = { addEventListener: vi.fn(), removeEventListener: vi.fn() }
+      window.visualViewport = visualViewport
+    })
+
+    afterEach(() => {
+      delete window.matchMedia
+      delete window.visualViewport
+    })
+
+    it('应该监听设备方向变化', () => {
+      const watcher = new ResizeWatcher(callback)
+      watcher.watch(container)
+
+      window.dispatchEvent(new Event('orientationchange'))
+      expect(callback).toHaveBeenCalledWith(RESIZE_REASONS.ORIENTATION)
+    })
+
+    it('应该监听可视区域变化', () => {
+      const watcher = new ResizeWatcher(callback)
+      watcher.watch(container)
+
+      expect(visualViewport.addEventListener).toHaveBeenCalledWith(
+        'resize',
+        watcher.handleViewportResize
+      )
+      watcher.handleViewportResize()
+      expect(callback).toHaveBeenCalledWith(RESIZE_REASONS.VIEWPORT)
+    })
+
+    it('应该在 devicePixelRatio 变化后重新创建媒体查询', () => {
+      const watcher = new ResizeWatcher(callback)
+      watcher.watch(container)
+
+      expect(mediaQueries).toHaveLength(1)
+      expect(mediaQueries[0].media).toBe(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+
+      const [, listener] = mediaQueries[0].addEventListener.mock.calls[0]
+      listener()
+
+      expect(callback).toHaveBeenCalledWith(RESIZE_REASONS.DPR)
+      expect(mediaQueries[0].removeEventListener).toHaveBeenCalledWith('change', listener)
+      expect(mediaQueries).toHaveLength(2)
+    })
+
+    it('应该兼容只支持 addListener 的媒体查询', () => {
+      const query = { addListener: vi.fn(), removeListener: vi.fn() }
+      window.matchMedia = vi.fn().mockReturnValue(query)
+
+      const watcher = new ResizeWatcher(callback)
+      watcher.watch(container)
+      watcher.unwatch()
+
+      expect(query.addListener).toHaveBeenCalledWith(watcher.handleDprChange)
+      expect(query.removeListener).toHaveBeenCalledWith(watcher.handleDprChange)
+    })
+
+    it('应该在停止监听时移除设备环境变化的监听', () => {
+      const watcher = new ResizeWatcher(callback)
+      watcher.watch(container)
+      watcher.unwatch()
+
+      expect(window.removeEventListener).toHaveBeenCalledWith(
+        'orientationchange',
+        watcher.handleOrientationChange
+      )
+      expect(visualViewport.removeEventListener).toHaveBeenCalledWith(
+        'resize',
+        watcher.handleViewportResize
+      )
+      expect(mediaQueries[0].removeEventListener).toHaveBeenCalled()
+    })
+
+    it('应该在手动模式下不监听设备环境变化', () => {
+      const watcher = new ResizeWatcher(callback)
+      watcher.watch(container, OBSERVE_TARGETS.MANUAL)
+
+      expect(visualViewport.addEventListener).not.toHaveBeenCalled()
+      expect(window.matchMedia).not.toHaveBeenCalled()
+    })
+  })
+})
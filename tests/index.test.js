@@ -1,18 +1,52 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import FitScreenJS from '../src/index'
 import { MODES } from '../src/core/modes'
+import * as modes from '../src/core/modes'
 import * as helpers from '../src/utils/helpers'
 import * as detector from '../src/core/detector'
+import * as scheduler from '../src/core/scheduler'
+import { Letterbox } from '../src/core/letterbox'
+import { Portal } from '../src/core/portal'
+import { Transition } from '../src/core/transition'
+import { ScaleGroup } from '../src/core/group'
+import { Scaler } from '../src/core/scaler'
 
 // 模拟子模块
 vi.mock('../src/core/scaler', () => {
   const mockScaler = vi.fn().mockImplementation(() => ({
-    setElements: vi.fn(),
+    options: {},
+    designSize: { width: 1920, height: 1080 },
+    setElements: vi.fn(function (container, content) {
+      this.container = container
+      this.content = content
+    }),
     setDesignSize: vi.fn(),
     setMode: vi.fn().mockReturnThis(),
     getMode: vi.fn().mockReturnValue(MODES.PROPORTIONAL),
     getScale: vi.fn().mockReturnValue(0.5),
+    getRawScale: vi.fn().mockReturnValue(0.3),
+    getOffset: vi.fn().mockReturnValue({ x: 10, y: 20 }),
     refresh: vi.fn().mockReturnThis(),
+    setStrategy: vi.fn(),
+    getStrategy: vi.fn().mockReturnValue('transform'),
+    setRegions: vi.fn(),
+    getRegion: vi.fn().mockReturnValue(null),
+    getDesign: vi.fn().mockReturnValue(null),
+    setTile: vi.fn(),
+    setSyncedScale: vi.fn(),
+    calculateCurrentScale: vi.fn().mockReturnValue(0.5),
+    measureScale: vi.fn().mockReturnValue(0.5),
+    isUniformScale: vi.fn().mockReturnValue(true),
+    addLayer: vi.fn(),
+    removeLayer: vi.fn(),
+    detach: vi.fn(function () {
+      this.container = null
+      this.content = null
+    }),
+    destroy: vi.fn(),
+    clientToDesign: vi.fn().mockReturnValue({ x: 1, y: 2 }),
+    designToClient: vi.fn().mockReturnValue({ x: 3, y: 4 }),
+    designRectToClient: vi.fn().mockReturnValue({ x: 5, y: 6, width: 7, height: 8 }),
   }))
 
   return {
@@ -53,11 +87,17 @@ describe('FitScreenJS', () => {
 
   afterEach(() => {
     vi.clearAllMocks()
+
+    // 恢复被测试用例替换的document方法
+    delete document.createElement
+    delete document.querySelector
   })
 
   it('应该正确导出主类和常量', () => {
     expect(FitScreenJS).toBeDefined()
     expect(FitScreenJS.MODES).toBe(MODES)
+    expect(FitScreenJS.registerMode).toBe(modes.registerMode)
+    expect(FitScreenJS.STRATEGIES.ZOOM).toBe('zoom')
   })
 
   it('应该正确初始化实例', () => {
@@ -103,6 +143,569 @@ describe('FitScreenJS', () => {
     expect(screenFitter.isInitialized).toBe(true)
   })
 
+  it('应该创建并在销毁时移除留白填充层', () => {
+    container.innerHTML = '<div class="fitscreen-content"></div>'
+    const mountSpy = vi.spyOn(Letterbox.prototype, 'mount')
+    const destroySpy = vi.spyOn(Letterbox.prototype, 'destroy')
+
+    const screenFitter = new FitScreenJS({ letterbox: { type: 'blur' } })
+    screenFitter.applyTo('#container')
+
+    const letterbox = screenFitter.letterbox
+    expect(letterbox).toBeInstanceOf(Letterbox)
+    expect(mountSpy).toHaveBeenCalledWith(container, container.querySelector('.fitscreen-content'))
+    expect(screenFitter.scaler.addLayer).toHaveBeenCalledWith(letterbox)
+
+    screenFitter.destroy()
+
+    expect(screenFitter.scaler.removeLayer).toHaveBeenCalledWith(letterbox)
+    expect(destroySpy).toHaveBeenCalled()
+    expect(screenFitter.letterbox).toBeNull()
+    expect(container.querySelector('.fitscreen-letterbox')).toBeNull()
+  })
+
+  it('应该创建过渡动画并在过渡结束时触发 transitionend 事件', () => {
+    container.innerHTML = '<div class="fitscreen-content"></div>'
+    const onTransitionEnd = vi.fn()
+
+    const screenFitter = new FitScreenJS({ transition: { duration: 200 }, onTransitionEnd })
+    screenFitter.applyTo('#container')
+
+    const transition = screenFitter.transition
+    expect(transition).toBeInstanceOf(Transition)
+    expect(transition.duration).toBe(200)
+    expect(screenFitter.scaler.addLayer).toHaveBeenCalledWith(transition)
+
+    transition.onEnd({ scale: 0.5, scaleX: 0.5, scaleY: 0.5 })
+    expect(onTransitionEnd).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'transitionend', scale: 0.5 })
+    )
+
+    screenFitter.detach()
+    expect(screenFitter.scaler.removeLayer).toHaveBeenCalledWith(transition)
+    expect(screenFitter.transition).toBeNull()
+  })
+
+  it('应该创建弹出层容器并转移弹出层', () => {
+    container.innerHTML = '<div class="fitscreen-content"></div>'
+    const redirectSpy = vi.spyOn(Portal.prototype, 'redirect')
+
+    const screenFitter = new FitScreenJS({ portal: { redirect: ['.my-popup'] } })
+    screenFitter.applyTo('#container')
+
+    const portalElement = screenFitter.getPortalContainer()
+    expect(screenFitter.portal).toBeInstanceOf(Portal)
+    expect(portalElement.parentNode).toBe(container)
+    expect(portalElement.previousElementSibling).toBe(container.querySelector('.fitscreen-content'))
+    expect(screenFitter.scaler.addLayer).toHaveBeenCalledWith(screenFitter.portal)
+    expect(redirectSpy).toHaveBeenCalledWith(['.my-popup'])
+
+    const portal = screenFitter.portal
+    screenFitter.destroy()
+
+    expect(screenFitter.scaler.removeLayer).toHaveBeenCalledWith(portal)
+    expect(screenFitter.portal).toBeNull()
+    expect(container.querySelector('.fitscreen-portal')).toBeNull()
+  })
+
+  it('应该在未应用到容器时返回空的弹出层容器', () => {
+    const screenFitter = new FitScreenJS()
+
+    expect(screenFitter.getPortalContainer()).toBeNull()
+  })
+
+  it('应该使用区域布局', () => {
+    const regions = { stage: { selector: '.stage', width: 1600, height: 900 } }
+    container.innerHTML = '<div class="stage"></div>'
+
+    const screenFitter = new FitScreenJS({ regions })
+    screenFitter.applyTo('#container')
+
+    expect(container.querySelector('.fitscreen-content')).toBeNull()
+    expect(screenFitter.scaler.setElements).toHaveBeenCalledWith(container, null)
+    expect(screenFitter.scaler.setRegions).toHaveBeenCalledWith(regions)
+    expect(window.addEventListener).toHaveBeenCalledWith('resize', expect.any(Function))
+
+    screenFitter.getRegion('stage')
+    expect(screenFitter.scaler.getRegion).toHaveBeenCalledWith('stage')
+  })
+
+  it('应该在区域布局中忽略依赖内容元素的配置并按主区域转换坐标', () => {
+    const regions = { stage: { selector: '.stage', width: 1600, height: 900 } }
+    container.innerHTML = '<div class="stage"></div>'
+    console.error = vi.fn()
+
+    const screenFitter = new FitScreenJS({
+      regions,
+      pointerMapping: true,
+      letterbox: { type: 'gradient', gradient: 'none' },
+      transition: true,
+      portal: { redirect: true },
+    })
+    screenFitter.applyTo('#container')
+
+    expect(console.error).toHaveBeenCalledWith(
+      '[FitScreenJS] 区域布局不支持 letterbox、transition、portal 配置，已忽略'
+    )
+    expect(screenFitter.letterbox).toBeFalsy()
+    expect(screenFitter.transition).toBeFalsy()
+    expect(screenFitter.getPortalContainer()).toBeNull()
+    expect(screenFitter.portal).toBeFalsy()
+    expect(container.querySelector('.fitscreen-portal')).toBeNull()
+    expect(screenFitter.pointerEnhancer.container).toBe(container)
+
+    screenFitter.destroy()
+  })
+
+  it('应该规范化并设置拼接屏分块', () => {
+    window.history.replaceState(null, '', '?tileCol=1&tileRow=1')
+
+    const screenFitter = new FitScreenJS({ tile: { cols: 2, rows: 2 } })
+    expect(screenFitter.options.tile).toEqual({ cols: 2, rows: 2, col: 1, row: 1 })
+    expect(Scaler.mock.calls[Scaler.mock.calls.length - 1][0].tile).toEqual({
+      cols: 2,
+      rows: 2,
+      col: 1,
+      row: 1,
+    })
+
+    window.history.replaceState(null, '', '/')
+    expect(screenFitter.setTile({ cols: 3, rows: 1, col: 2 })).toBe(screenFitter)
+    expect(screenFitter.scaler.setTile).toHaveBeenCalledWith({ cols: 3, rows: 1, col: 2, row: 0 })
+  })
+
+  it('应该创建缩放组并由缩放组统一刷新', () => {
+    const first = new FitScreenJS()
+    const second = new FitScreenJS()
+
+    const group = FitScreenJS.group([first, second], { sync: 'max' })
+    expect(group).toBeInstanceOf(ScaleGroup)
+    expect(group.sync).toBe('max')
+    expect(first.group).toBe(group)
+
+    const refreshSpy = vi.spyOn(group, 'refresh')
+    first.refresh()
+    expect(refreshSpy).toHaveBeenCalled()
+
+    first.destroy()
+    expect(first.group).toBeNull()
+    expect(group.instances).toEqual([second])
+  })
+
+  it('应该在缩放组没有实例时报错', () => {
+    console.error = vi.fn()
+
+    expect(FitScreenJS.group([])).toBeNull()
+    expect(console.error).toHaveBeenCalledWith('[FitScreenJS] 缩放组至少需要一个实例')
+  })
+
+  it('应该按 resizeStrategy 调度尺寸变化后的刷新', () => {
+    const schedulerSpy = vi.spyOn(scheduler, 'createResizeScheduler')
+
+    const screenFitter = new FitScreenJS({ resizeStrategy: 'throttle', resizeDelay: 50 })
+    screenFitter.applyTo('#container')
+
+    expect(schedulerSpy).toHaveBeenCalledWith(screenFitter, expect.any(Function), 'throttle', 50)
+    expect(FitScreenJS.RESIZE_STRATEGIES.RAF).toBe('raf')
+
+    // 分离时取消等待执行的刷新
+    const cancelSpy = vi.spyOn(scheduler, 'cancelFrame')
+    screenFitter.detach()
+    expect(cancelSpy).toHaveBeenCalledWith(screenFitter)
+  })
+
+  it('应该在手动模式下不监听尺寸变化', () => {
+    const screenFitter = new FitScreenJS({ observe: 'manual' })
+    screenFitter.applyTo('#container')
+
+    expect(window.addEventListener).not.toHaveBeenCalledWith('resize', expect.any(Function))
+    expect(screenFitter.isInitialized).toBe(true)
+  })
+
+  it('应该在一次尺寸变化后只刷新一次缩放组', () => {
+    const frames = []
+    window.requestAnimationFrame = vi.fn().mockImplementation((callback) => {
+      frames.push(callback)
+      return frames.length
+    })
+
+    const first = new FitScreenJS({ observe: 'window' })
+    const second = new FitScreenJS({ observe: 'window' })
+    first.applyTo('#container')
+    second.applyTo('#container')
+    const onResize = vi.fn()
+    FitScreenJS.group([first, second], { onResize })
+    onResize.mockClear()
+
+    // 模拟一次窗口 resize 触发两个实例的监听
+    first.resizeWatcher.handleResize()
+    second.resizeWatcher.handleResize()
+    while (frames.length) frames.shift()()
+
+    expect(window.requestAnimationFrame).toHaveBeenCalledTimes(1)
+    expect(onResize).toHaveBeenCalledTimes(1)
+    expect(onResize).toHaveBeenCalledWith(expect.any(Number), [first, second], 'window')
+
+    delete window.requestAnimationFrame
+  })
+
+  it('应该在手动模式的实例加入缩放组后仍不监听窗口尺寸变化', () => {
+    const screenFitter = new FitScreenJS({ observe: 'manual' })
+    screenFitter.applyTo('#container')
+    FitScreenJS.group([screenFitter])
+
+    expect(window.addEventListener).not.toHaveBeenCalledWith('resize', expect.any(Function))
+  })
+
+  describe('浏览器全屏', () => {
+    beforeEach(() => {
+      // 模拟全屏API
+      document.documentElement.requestFullscreen = vi.fn()
+      container.requestFullscreen = vi.fn().mockImplementation(() => {
+        document.fullscreenElement = container
+        document.dispatchEvent(new Event('fullscreenchange'))
+        return Promise.resolve()
+      })
+      document.exitFullscreen = vi.fn().mockImplementation(() => {
+        document.fullscreenElement = null
+        document.dispatchEvent(new Event('fullscreenchange'))
+        return Promise.resolve()
+      })
+    })
+
+    afterEach(() => {
+      delete document.documentElement.requestFullscreen
+      delete document.exitFullscreen
+      delete document.fullscreenElement
+    })
+
+    it('应该进入、退出和切换全屏', async () => {
+      const onFullscreenChange = vi.fn()
+      const screenFitter = new FitScreenJS({ onFullscreenChange })
+      screenFitter.applyTo('#container')
+
+      await screenFitter.enterFullscreen()
+      expect(container.requestFullscreen).toHaveBeenCalled()
+      expect(screenFitter.isFullscreen()).toBe(true)
+      expect(onFullscreenChange).toHaveBeenLastCalledWith(true)
+      expect(screenFitter.scaler.refresh).toHaveBeenLastCalledWith('fullscreen')
+
+      await screenFitter.toggleFullscreen()
+      expect(document.exitFullscreen).toHaveBeenCalled()
+      expect(screenFitter.isFullscreen()).toBe(false)
+      expect(onFullscreenChange).toHaveBeenLastCalledWith(false)
+
+      await screenFitter.toggleFullscreen()
+      expect(container.requestFullscreen).toHaveBeenCalledTimes(2)
+
+      screenFitter.destroy()
+    })
+
+    it('应该在全屏时切换到指定模式并在退出时恢复', async () => {
+      const screenFitter = new FitScreenJS({ fullscreenMode: MODES.FULLSCREEN })
+      screenFitter.applyTo('#container')
+
+      await screenFitter.enterFullscreen()
+      expect(screenFitter.scaler.setMode).toHaveBeenLastCalledWith(MODES.FULLSCREEN, 'fullscreen')
+
+      screenFitter.scaler.getMode.mockReturnValue(MODES.FULLSCREEN)
+      await screenFitter.exitFullscreen()
+      expect(screenFitter.scaler.setMode).toHaveBeenLastCalledWith(MODES.PROPORTIONAL, 'fullscreen')
+
+      screenFitter.destroy()
+    })
+
+    it('应该在全屏切换模式时只按全屏的原因刷新一次', async () => {
+      const screenFitter = new FitScreenJS({ fullscreenMode: MODES.FULLSCREEN })
+      screenFitter.applyTo('#container')
+      screenFitter.scaler.isInitialized = true
+      screenFitter.scaler.refresh.mockClear()
+
+      // 模式变化时由缩放器按全屏的原因刷新，不再额外刷新
+      await screenFitter.enterFullscreen()
+      expect(screenFitter.scaler.setMode).toHaveBeenCalledTimes(1)
+      expect(screenFitter.scaler.setMode).toHaveBeenLastCalledWith(MODES.FULLSCREEN, 'fullscreen')
+      expect(screenFitter.scaler.refresh).not.toHaveBeenCalled()
+
+      // 模式没有变化时直接按全屏的原因刷新
+      await screenFitter.exitFullscreen()
+      expect(screenFitter.scaler.refresh).toHaveBeenCalledTimes(1)
+      expect(screenFitter.scaler.refresh).toHaveBeenCalledWith('fullscreen')
+
+      screenFitter.destroy()
+    })
+
+    it('应该忽略其他元素的全屏状态变化', () => {
+      const onFullscreenChange = vi.fn()
+      const screenFitter = new FitScreenJS({ onFullscreenChange })
+      screenFitter.applyTo('#container')
+
+      document.fullscreenElement = document.body
+      document.dispatchEvent(new Event('fullscreenchange'))
+
+      expect(onFullscreenChange).not.toHaveBeenCalled()
+      screenFitter.destroy()
+    })
+
+    it('应该在销毁后不再响应全屏状态变化', () => {
+      const onFullscreenChange = vi.fn()
+      const screenFitter = new FitScreenJS({ onFullscreenChange })
+      screenFitter.applyTo('#container')
+      screenFitter.destroy()
+
+      document.fullscreenElement = container
+      document.dispatchEvent(new Event('fullscreenchange'))
+
+      expect(onFullscreenChange).not.toHaveBeenCalled()
+    })
+
+    it('应该在未应用到容器时报错', async () => {
+      console.error = vi.fn()
+      const screenFitter = new FitScreenJS()
+
+      await screenFitter.enterFullscreen()
+
+      expect(console.error).toHaveBeenCalledWith('[FitScreenJS] 尚未应用到容器，无法进入全屏')
+    })
+  })
+
+  describe('事件', () => {
+    // 获取传给缩放器的回调
+    const scalerOptionsOf = () => Scaler.mock.calls[Scaler.mock.calls.length - 1][0]
+
+    it('应该添加、触发和移除事件监听', () => {
+      const screenFitter = new FitScreenJS()
+      const listener = vi.fn()
+
+      expect(screenFitter.on('modechange', listener)).toBe(screenFitter)
+      scalerOptionsOf().onModeChange(MODES.COVER)
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'modechange', mode: MODES.COVER })
+      )
+
+      expect(screenFitter.off('modechange', listener)).toBe(screenFitter)
+      scalerOptionsOf().onModeChange(MODES.WIDTH)
+      expect(listener).toHaveBeenCalledTimes(1)
+    })
+
+    it('应该只触发一次 once 添加的监听', () => {
+      const screenFitter = new FitScreenJS()
+      const listener = vi.fn()
+      screenFitter.once('designsizechange', listener)
+
+      scalerOptionsOf().onDesignSizeChange({ width: 1920, height: 1080 })
+      scalerOptionsOf().onDesignSizeChange({ width: 1280, height: 720 })
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ width: 1920, height: 1080 }))
+    })
+
+    it('应该保留配置中的回调并触发 resize 事件', () => {
+      const onResize = vi.fn()
+      const listener = vi.fn()
+      const screenFitter = new FitScreenJS({ onResize })
+      screenFitter.on('resize', listener)
+
+      const scaleInfo = { raw: 0.4, scale: 0.5, clamped: 'min', reason: 'window' }
+      scalerOptionsOf().onResize(800, 600, 0.5, null, scaleInfo)
+
+      expect(onResize).toHaveBeenCalledWith(800, 600, 0.5, null, scaleInfo)
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({
+          width: 800,
+          height: 600,
+          scale: 0.5,
+          scaleX: 0.5,
+          scaleY: 0.5,
+          raw: 0.4,
+          clamped: 'min',
+          reason: 'window',
+        })
+      )
+    })
+
+    it('应该支持在 beforeresize 事件中取消缩放或修改缩放比例', () => {
+      const screenFitter = new FitScreenJS()
+      const { onBeforeResize } = scalerOptionsOf()
+
+      screenFitter.once('beforeresize', (event) => event.preventDefault())
+      expect(onBeforeResize({ scale: 0.5 })).toBe(false)
+
+      screenFitter.once('beforeresize', (event) => {
+        event.scale = 0.6
+      })
+      const info = { scale: 0.5, scaleX: 0.5, scaleY: 0.5 }
+      expect(onBeforeResize(info)).toBe(true)
+      expect(info.scale).toBe(0.6)
+    })
+
+    it('应该在设计稿变化时触发 designchange 事件', () => {
+      const onDesignChange = vi.fn()
+      const screenFitter = new FitScreenJS({ onDesignChange })
+      const design = { width: 1920, height: 1080 }
+
+      scalerOptionsOf().onDesignChange({ design, previousDesign: null, width: 1920, height: 1080 })
+      expect(onDesignChange).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'designchange', design, previousDesign: null })
+      )
+
+      screenFitter.getDesign()
+      expect(screenFitter.scaler.getDesign).toHaveBeenCalled()
+    })
+
+    it('应该将配置中的回调作为事件监听', () => {
+      const onScaleChange = vi.fn()
+      const onDestroy = vi.fn()
+      const screenFitter = new FitScreenJS({ onScaleChange, onDestroy })
+
+      scalerOptionsOf().onScaleChange({ scale: 0.5, previousScale: 1 })
+      expect(onScaleChange).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'scalechange', scale: 0.5, previousScale: 1 })
+      )
+
+      screenFitter.destroy()
+      expect(onDestroy).toHaveBeenCalledWith(expect.objectContaining({ type: 'destroy' }))
+    })
+
+    it('应该在销毁后移除所有监听', () => {
+      const screenFitter = new FitScreenJS()
+      const listener = vi.fn()
+      screenFitter.on('resize', listener)
+
+      screenFitter.destroy()
+      scalerOptionsOf().onResize(800, 600, 0.5, null, {})
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+  })
+
+  it('应该在销毁时将容器恢复到应用前的状态', () => {
+    container.setAttribute('style', 'background: red;')
+    container.innerHTML = '<div id="first"></div>text<div id="second"></div>'
+    const originalHTML = document.body.innerHTML
+
+    const screenFitter = new FitScreenJS({ mode: MODES.FULLSCREEN })
+    screenFitter.applyTo('#container')
+    expect(container.querySelector('.fitscreen-content')).not.toBeNull()
+
+    screenFitter.destroy()
+    expect(document.body.innerHTML).toBe(originalHTML)
+
+    // 再次应用和销毁，结果保持一致
+    const nextFitter = new FitScreenJS()
+    nextFitter.applyTo('#container')
+    nextFitter.destroy()
+    expect(document.body.innerHTML).toBe(originalHTML)
+  })
+
+  it('应该在销毁时恢复已有内容元素的属性', () => {
+    container.innerHTML = '<div class="fitscreen-content" style="color: red;"></div>'
+    const content = container.querySelector('.fitscreen-content')
+
+    const screenFitter = new FitScreenJS({ mode: MODES.FULLSCREEN })
+    screenFitter.applyTo('#container')
+    content.dataset.originalWidth = '1920'
+    screenFitter.destroy()
+
+    expect(container.querySelector('.fitscreen-content')).toBe(content)
+    expect(content.getAttribute('style')).toBe('color: red;')
+    expect(content.hasAttribute('data-original-width')).toBe(false)
+    expect(container.hasAttribute('style')).toBe(false)
+  })
+
+  it('应该在重新应用到其他容器时恢复之前的容器', () => {
+    document.body.innerHTML = `
+      <div id="container" style="color: red;"><div id="first"></div></div>
+      <div id="other"><div id="second"></div></div>
+    `
+    container = document.getElementById('container')
+    const other = document.getElementById('other')
+    const originalHTML = container.outerHTML
+    helpers.getElement.mockImplementation((selector) =>
+      typeof selector === 'string' ? document.querySelector(selector) : selector
+    )
+
+    const screenFitter = new FitScreenJS({ letterbox: { type: 'gradient', gradient: 'none' } })
+    screenFitter.applyTo('#container')
+    screenFitter.applyTo(other)
+
+    expect(container.outerHTML).toBe(originalHTML)
+    expect(other.querySelector('.fitscreen-content #second')).not.toBeNull()
+    expect(other.querySelector('.fitscreen-letterbox')).not.toBeNull()
+    expect(screenFitter.scaler.detach).toHaveBeenCalled()
+    expect(screenFitter.scaler.setElements).toHaveBeenLastCalledWith(
+      other,
+      other.querySelector('.fitscreen-content')
+    )
+  })
+
+  it('应该在重新应用到其他容器时保留弹出层容器和弹出层转移', async () => {
+    document.body.innerHTML = `
+      <div id="container"><div id="first"></div></div>
+      <div id="other"><div id="second"></div></div>
+    `
+    container = document.getElementById('container')
+    const other = document.getElementById('other')
+    helpers.getElement.mockImplementation((selector) =>
+      typeof selector === 'string' ? document.querySelector(selector) : selector
+    )
+
+    const screenFitter = new FitScreenJS()
+    screenFitter.applyTo('#container')
+    const portalElement = screenFitter.getPortalContainer()
+    screenFitter.redirectPopups(['.my-popup'])
+
+    screenFitter.applyTo(other)
+
+    expect(container.querySelector('.fitscreen-portal')).toBeNull()
+    expect(screenFitter.getPortalContainer()).toBe(portalElement)
+    expect(portalElement.parentNode).toBe(other)
+    expect(screenFitter.scaler.addLayer).toHaveBeenLastCalledWith(screenFitter.portal)
+
+    // 之后挂载到 body 上的弹出层转移到新容器中的弹出层容器
+    const popup = document.createElement('div')
+    popup.className = 'my-popup'
+    document.body.appendChild(popup)
+    await Promise.resolve()
+    expect(popup.parentNode).toBe(portalElement)
+
+    screenFitter.destroy()
+    expect(popup.parentNode).toBe(document.body)
+    expect(screenFitter.portal).toBeNull()
+    expect(other.querySelector('.fitscreen-portal')).toBeNull()
+  })
+
+  it('应该在重新应用到同一容器时从原始内容检测尺寸', () => {
+    container.innerHTML = '<div style="width: 1280px; height: 720px;"></div>'
+
+    const screenFitter = new FitScreenJS()
+    screenFitter.applyTo('#container')
+    screenFitter.applyTo('#container')
+
+    expect(container.querySelectorAll('.fitscreen-content')).toHaveLength(1)
+    expect(screenFitter.options.detectedWidth).toBe(1280)
+    expect(screenFitter.options.detectedHeight).toBe(720)
+  })
+
+  it('应该分离容器但不销毁实例', () => {
+    const originalHTML = container.outerHTML
+    const screenFitter = new FitScreenJS({ pointerMapping: true })
+    screenFitter.applyTo('#container')
+    const { handleResize } = screenFitter.resizeWatcher
+
+    expect(screenFitter.detach()).toBe(screenFitter)
+
+    expect(container.outerHTML).toBe(originalHTML)
+    expect(window.removeEventListener).toHaveBeenCalledWith('resize', handleResize)
+    expect(screenFitter.pointerEnhancer.container).toBeNull()
+    expect(screenFitter.isDestroyed).toBe(false)
+
+    // 可以再次应用
+    screenFitter.applyTo('#container')
+    expect(screenFitter.pointerEnhancer.container).toBe(container)
+    expect(container.querySelector('.fitscreen-content')).not.toBeNull()
+  })
+
   it('应该在容器不存在时报错', () => {
     const screenFitter = new FitScreenJS()
 
@@ -122,7 +725,16 @@ describe('FitScreenJS', () => {
 
     screenFitter.setMode(MODES.FULLSCREEN)
 
-    expect(screenFitter.scaler.setMode).toHaveBeenCalledWith(MODES.FULLSCREEN)
+    expect(screenFitter.scaler.setMode).toHaveBeenCalledWith(MODES.FULLSCREEN, 'refresh')
+  })
+
+  it('应该设置和获取缩放策略', () => {
+    const screenFitter = new FitScreenJS()
+
+    expect(screenFitter.setStrategy('zoom')).toBe(screenFitter)
+    expect(screenFitter.scaler.setStrategy).toHaveBeenCalledWith('zoom')
+    expect(screenFitter.options.strategy).toBe('zoom')
+    expect(screenFitter.getStrategy()).toBe('transform')
   })
 
   it('应该获取当前模式', () => {
@@ -143,6 +755,46 @@ describe('FitScreenJS', () => {
     expect(scale).toBe(0.5)
   })
 
+  it('应该获取限制前的原始缩放比例', () => {
+    const screenFitter = new FitScreenJS({ minScale: 0.5 })
+
+    expect(screenFitter.getRawScale()).toBe(0.3)
+    expect(screenFitter.scaler.getRawScale).toHaveBeenCalled()
+  })
+
+  it('应该获取内容偏移', () => {
+    const screenFitter = new FitScreenJS({ align: 'bottom' })
+
+    expect(screenFitter.getOffset()).toEqual({ x: 10, y: 20 })
+    expect(screenFitter.scaler.getOffset).toHaveBeenCalled()
+  })
+
+  it('应该转换视口坐标和设计稿坐标', () => {
+    const screenFitter = new FitScreenJS()
+
+    expect(screenFitter.clientToDesign(10, 20)).toEqual({ x: 1, y: 2 })
+    expect(screenFitter.scaler.clientToDesign).toHaveBeenCalledWith(10, 20)
+    expect(screenFitter.designToClient(30, 40)).toEqual({ x: 3, y: 4 })
+    expect(screenFitter.scaler.designToClient).toHaveBeenCalledWith(30, 40)
+
+    const rect = { x: 0, y: 0, width: 10, height: 10 }
+    expect(screenFitter.designRectToClient(rect)).toEqual({ x: 5, y: 6, width: 7, height: 8 })
+    expect(screenFitter.scaler.designRectToClient).toHaveBeenCalledWith(rect)
+  })
+
+  it('应该启用和停止指针事件增强', () => {
+    const screenFitter = new FitScreenJS()
+    screenFitter.scaler.container = container
+
+    screenFitter.enablePointerMapping()
+    expect(screenFitter.pointerEnhancer.container).toBe(container)
+
+    const enhancer = screenFitter.pointerEnhancer
+    screenFitter.destroy()
+    expect(enhancer.container).toBeNull()
+    expect(screenFitter.pointerEnhancer).toBeNull()
+  })
+
   it('应该设置设计尺寸', () => {
     const screenFitter = new FitScreenJS()
 
@@ -161,14 +813,13 @@ describe('FitScreenJS', () => {
 
   it('应该销毁实例并清理事件监听', () => {
     const screenFitter = new FitScreenJS()
+    screenFitter.applyTo('#container')
 
-    // 模拟初始化状态
-    screenFitter.isInitialized = true
-    screenFitter._resizeHandler = () => {}
-
+    const { handleResize } = screenFitter.resizeWatcher
     screenFitter.destroy()
 
-    expect(window.removeEventListener).toHaveBeenCalledWith('resize', screenFitter._resizeHandler)
+    expect(window.removeEventListener).toHaveBeenCalledWith('resize', handleResize)
+    expect(screenFitter.scaler.destroy).toHaveBeenCalled()
     expect(screenFitter.isDestroyed).toBe(true)
   })
 
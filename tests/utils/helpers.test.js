@@ -1,10 +1,18 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import {
   parseAspectRatio,
+  parseAlign,
   getElement,
   calculateScale,
+  clampScale,
+  resolveLength,
+  resolveInsets,
   debounce,
+  throttle,
   detectElementSize,
+  saveAttributes,
+  restoreAttributes,
+  unwrapElement,
 } from '../../src/utils/helpers'
 
 describe('parseAspectRatio', () => {
@@ -24,6 +32,27 @@ describe('parseAspectRatio', () => {
   })
 })
 
+describe('parseAlign', () => {
+  it('应该解析对齐关键字', () => {
+    expect(parseAlign('center')).toEqual({ x: 0.5, y: 0.5 })
+    expect(parseAlign('bottom')).toEqual({ x: 0.5, y: 1 })
+    expect(parseAlign('right')).toEqual({ x: 1, y: 0.5 })
+    expect(parseAlign('top-left')).toEqual({ x: 0, y: 0 })
+    expect(parseAlign('Right-Bottom')).toEqual({ x: 1, y: 1 })
+  })
+
+  it('应该解析并限制相对位置', () => {
+    expect(parseAlign({ x: 0.25 })).toEqual({ x: 0.25, y: 0.5 })
+    expect(parseAlign({ x: -1, y: 2 })).toEqual({ x: 0, y: 1 })
+  })
+
+  it('应该在输入无效时返回null', () => {
+    expect(parseAlign(null)).toBeNull()
+    expect(parseAlign('middle')).toBeNull()
+    expect(parseAlign(1)).toBeNull()
+  })
+})
+
 describe('getElement', () => {
   beforeEach(() => {
     // 创建测试DOM
@@ -74,6 +103,76 @@ describe('calculateScale', () => {
   })
 })
 
+describe('clampScale', () => {
+  it('应该将缩放比例限制在范围内', () => {
+    expect(clampScale(0.2, 0.4, 2)).toBe(0.4)
+    expect(clampScale(4, 0.4, 2)).toBe(2)
+    expect(clampScale(1, 0.4, 2)).toBe(1)
+  })
+
+  it('应该在未设置限制时返回原值', () => {
+    expect(clampScale(0.2)).toBe(0.2)
+    expect(clampScale(4, undefined, null)).toBe(4)
+  })
+})
+
+describe('resolveLength', () => {
+  it('应该解析像素和百分比', () => {
+    expect(resolveLength(20, 1000)).toBe(20)
+    expect(resolveLength('20px', 1000)).toBe(20)
+    expect(resolveLength('5%', 1000)).toBe(50)
+    expect(resolveLength(null, 1000)).toBe(0)
+  })
+
+  it('应该通过探测元素计算其他CSS长度', () => {
+    const getComputedStyleSpy = vi
+      .spyOn(window, 'getComputedStyle')
+      .mockReturnValue({ width: '34px' })
+
+    const childCount = document.body.children.length
+    expect(resolveLength('env(safe-area-inset-top)', 1000)).toBe(34)
+    // 探测元素应该被移除
+    expect(document.body.children.length).toBe(childCount)
+
+    getComputedStyleSpy.mockRestore()
+  })
+})
+
+describe('resolveInsets', () => {
+  it('应该按容器尺寸解析各方向的内边距', () => {
+    const container = document.createElement('div')
+    Object.defineProperty(container, 'offsetWidth', { value: 1000 })
+    Object.defineProperty(container, 'offsetHeight', { value: 500 })
+
+    expect(resolveInsets({ top: '10%', left: 20, right: '10%' }, container)).toEqual({
+      top: 50,
+      right: 100,
+      bottom: 0,
+      left: 20,
+    })
+    expect(resolveInsets(null, container)).toEqual({ top: 0, right: 0, bottom: 0, left: 0 })
+  })
+
+  it('应该支持安全区域', () => {
+    const container = document.createElement('div')
+    document.body.appendChild(container)
+    const getComputedStyleSpy = vi
+      .spyOn(window, 'getComputedStyle')
+      .mockReturnValue({ width: '12px' })
+
+    expect(resolveInsets('safe-area', container)).toEqual({
+      top: 12,
+      right: 12,
+      bottom: 12,
+      left: 12,
+    })
+    expect(resolveInsets({ bottom: 'safe-area' }, container).bottom).toBe(12)
+
+    getComputedStyleSpy.mockRestore()
+    container.remove()
+  })
+})
+
 describe('debounce', () => {
   beforeEach(() => {
     vi.useFakeTimers()
@@ -102,6 +201,37 @@ describe('debounce', () => {
   })
 })
 
+describe('throttle', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('应该立即执行首次调用，并在间隔结束时执行最后一次调用', () => {
+    const mockFn = vi.fn()
+    const throttledFn = throttle(mockFn, 100)
+
+    throttledFn(1)
+    expect(mockFn).toBeCalledTimes(1)
+    expect(mockFn).toHaveBeenLastCalledWith(1)
+
+    throttledFn(2)
+    throttledFn(3)
+    expect(mockFn).toBeCalledTimes(1)
+
+    vi.advanceTimersByTime(100)
+    expect(mockFn).toBeCalledTimes(2)
+    expect(mockFn).toHaveBeenLastCalledWith(3)
+
+    vi.advanceTimersByTime(100)
+    throttledFn(4)
+    expect(mockFn).toBeCalledTimes(3)
+  })
+})
+
 describe('detectElementSize', () => {
   beforeEach(() => {
     document.body.innerHTML = `
@@ -136,3 +266,39 @@ describe('detectElementSize', () => {
     expect(size.height).toBe(0)
   })
 })
+
+describe('saveAttributes / restoreAttributes', () => {
+  it('应该恢复修改过的属性并移除原本不存在的属性', () => {
+    const element = document.createElement('div')
+    element.setAttribute('style', 'color: red;')
+
+    const saved = saveAttributes(element, ['style', 'data-original-width'])
+    expect(saved).toEqual({ style: 'color: red;', 'data-original-width': null })
+
+    element.style.width = '100%'
+    element.dataset.originalWidth = '1920'
+    restoreAttributes(element, saved)
+
+    expect(element.getAttribute('style')).toBe('color: red;')
+    expect(element.hasAttribute('data-original-width')).toBe(false)
+  })
+
+  it('应该默认保存 style 属性', () => {
+    const element = document.createElement('div')
+
+    expect(saveAttributes(element)).toEqual({ style: null })
+  })
+})
+
+describe('unwrapElement', () => {
+  it('应该将子元素放回包装元素原来的位置', () => {
+    document.body.innerHTML = `
+      <div id="parent"><span id="before"></span><div id="wrapper"><i id="a"></i><i id="b"></i></div><span id="after"></span></div>
+    `
+    unwrapElement(document.getElementById('wrapper'))
+
+    const ids = Array.from(document.getElementById('parent').children).map((el) => el.id)
+    expect(ids).toEqual(['before', 'a', 'b', 'after'])
+    expect(document.getElementById('wrapper')).toBeNull()
+  })
+})